@@ -3,19 +3,70 @@ import cors from 'cors';
 import crypto from 'crypto';
 import * as dotenv from 'dotenv';
 import { SuiClient } from '@mysten/sui/client';
-import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519';
 import { Transaction } from '@mysten/sui/transactions';
 import { isValidSuiAddress } from '@mysten/sui/utils';
 import { approveVetting } from './lib/approveVetting.js';
-import { statusOfVetting } from './lib/statusOfVetting.js';
+import { rejectVetting } from './lib/rejectVetting.js';
+import { revokeVetting } from './lib/revokeVetting.js';
+import { batchApproveVetting } from './lib/batchApproveVetting.js';
+import { isValidApplicantAddress, statusOfVetting } from './lib/statusOfVetting.js';
+import { bulkStatusOfVetting } from './lib/bulkStatusOfVetting.js';
+import { listVettingApplicants } from './lib/listVettingApplicants.js';
+import { castReviewVote, getReviewHistory, isReviewRequired, reopenReview } from './lib/vettingReviews.js';
+import {
+    createDossier,
+    deleteDossier,
+    getDossier,
+    listDossiers,
+    recordDossierSubmission,
+    updateDossier,
+    validateDossierFields
+} from './lib/applicationDossiers.js';
+import { checkVettingGate } from './lib/vettingGate.js';
+import { resolveBadgeOption } from './lib/badgeMinting.js';
+import { findDueForRevetting, scheduleExpirySweep, sweepExpiredApprovals } from './lib/vettingExpiry.js';
+import { canAccessAddress, createChallenge, hasAdminTokens, hasReviewerTokens, isAuthRequired, resolveToken, verifyChallenge } from './lib/auth.js';
+import { listBadges } from './lib/listBadges.js';
+import {
+    WEBHOOK_EVENTS,
+    createSubscription,
+    deleteSubscription,
+    emitEvent,
+    listDeliveries,
+    listSubscriptions,
+    resumePendingDeliveries
+} from './lib/webhooks.js';
+import { startVettingEventWatcher } from './lib/vettingEventWatcher.js';
 import { submitForVetting } from './lib/submitForVetting.js';
+import { buildVettingSubmission, executeVettingSubmission } from './lib/signedVettingSubmission.js';
 import { initializeVettingTable } from './lib/initializeVettingTable.js';
-import { createCustodialWallet, createCustodialWalletWithStandardMnemonic } from './createCustodialWallet.js';
+import { listVettingTables, registerVettingTable } from './lib/vettingTables.js';
+import { exportCustodialKey, findCustodialWallet, getCustodialWallet, isKeyExportAuthorized, storeCustodialKey } from './lib/custodialKeystore.js';
+import { deriveUserAccount, listHdAccounts } from './lib/hdAccounts.js';
+import { recoverCustodialWallet } from './lib/recoverWallet.js';
+import { rotateCustodialKey } from './lib/rotateCustodialKey.js';
+import { KEY_SCHEMES, normalizeKeyScheme } from './lib/keypairs.js';
+import {
+    addAdminSignature,
+    cancelAdminTransaction,
+    describeMultisigAdmin,
+    executeAdminTransaction,
+    getAdminTransaction,
+    isPendingAdminTransaction,
+    listAdminTransactions,
+    onAdminTransactionSettled,
+    registerAdminOperation
+} from './lib/adminTransactions.js';
+import { createCustodialWallet, createCustodialWalletWithStandardMnemonic, isSupportedWordCount } from './createCustodialWallet.js';
 import { createSupply } from './createSupply.js';
 import { createDisplay } from './display.js';
 import { createRestrictedDisplay } from './restrictedDisplay.js';
 import { mintRestrictedNFT } from './mintRestrictedNFT.js';
 import { editNFT } from './editNFT.js';
+// No route edits restricted NFTs, but pending edits proposed by runEditRestrictedNFT.js settle here
+import './lib/editRestrictedNFT.js';
+import { parseTransferAmount, transferSui } from './transferSuiTokens.js';
+import { describeGasStation, listTopUps, topUpUser } from './lib/gasStation.js';
 
 // Load environment variables
 dotenv.config();
@@ -23,10 +74,139 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// TRUST_PROXY is a hop count, "true", or comma-separated proxy addresses or subnets, as express takes them
+function parseTrustProxy(value) {
+    if (!value || value === 'false') {
+        return false;
+    }
+    if (value === 'true') {
+        return true;
+    }
+    return /^\d+$/.test(value) ? Number(value) : value.split(',').map((entry) => entry.trim()).filter(Boolean);
+}
+
+// req.ip keys the per-client sign-in challenge limit. Behind a reverse proxy TRUST_PROXY must be set,
+// or every client shares the proxy's address and one of them can use up the limit for all
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
+// Resolves the bearer token, if any, to req.auth ({ role, address })
+const authenticate = (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+
+    req.auth = resolveToken(token);
+    next();
+};
+
+// Unless REQUIRE_AUTH=false, applicants may only read data for their own address; admins may read any
+const requireAddressAccess = (getAddress) => (req, res, next) => {
+    const address = getAddress(req);
+    if (!isAuthRequired() || !address || !isValidSuiAddress(address)) {
+        return next();
+    }
+
+    if (!req.auth) {
+        return res.status(401).json({
+            error: 'Authentication required',
+            signIn: '/api/auth/challenge'
+        });
+    }
+
+    if (!canAccessAddress(req.auth, address)) {
+        return res.status(403).json({
+            error: 'Session token may only access its own address'
+        });
+    }
+
+    next();
+};
+
+// Unless REQUIRE_AUTH=false, only admin tokens may use the route
+const requireAdmin = (req, res, next) => {
+    if (!isAuthRequired() || req.auth?.role === 'admin') {
+        return next();
+    }
+
+    res.status(req.auth ? 403 : 401).json({
+        error: 'Admin token required'
+    });
+};
+
+// Routes that move treasury funds always need an admin token, whatever REQUIRE_AUTH says
+const requireAdminToken = (req, res, next) => {
+    if (!hasAdminTokens()) {
+        return res.status(503).json({
+            error: 'ADMIN_API_TOKENS must be configured to use this route'
+        });
+    }
+
+    if (req.auth?.role === 'admin') {
+        return next();
+    }
+
+    res.status(req.auth ? 403 : 401).json({
+        error: 'Admin token required'
+    });
+};
+
+// Signing with the server's own key or a custodial key spends that wallet's gas, so like the
+// treasury routes it always needs an admin token; callers sending their own mnemonic or key don't
+const requireAdminTokenForServerSigning = (req, res, next) => {
+    const { walletCredentials } = req.body;
+    if (walletCredentials && !walletCredentials.userId) {
+        return next();
+    }
+    requireAdminToken(req, res, next);
+};
+
+// A sponsored build leases one of the sponsor's gas coins, so only the applicant signed in as
+// senderAddress (or an admin) may ask for one; unsponsored builds stay open
+const requireSessionForSponsoredBuild = (req, res, next) => {
+    const { senderAddress, sponsored } = req.body;
+    if (sponsored !== true || !senderAddress || !isValidSuiAddress(senderAddress)) {
+        return next();
+    }
+
+    if (!req.auth) {
+        return res.status(401).json({
+            error: 'Sign in as the applicant to build a sponsored submission',
+            signIn: '/api/auth/challenge'
+        });
+    }
+
+    if (!canAccessAddress(req.auth, senderAddress)) {
+        return res.status(403).json({
+            error: 'Session token may only build sponsored submissions for its own address'
+        });
+    }
+
+    next();
+};
+
+// Votes are recorded under the reviewer named by the token, never one given in the request,
+// so one caller can't make up a quorum on their own
+const requireReviewer = (req, res, next) => {
+    if (!hasReviewerTokens()) {
+        return res.status(503).json({
+            error: 'REVIEWER_API_TOKENS must be configured to record reviewer votes'
+        });
+    }
+
+    if (req.auth?.role === 'reviewer') {
+        return next();
+    }
+
+    res.status(req.auth ? 403 : 401).json({
+        error: 'Reviewer token required'
+    });
+};
+
+app.use(authenticate);
+
 // Request validation middleware for minting
 const validateMintRequest = (req, res, next) => {
     const requiredFields = [
@@ -129,6 +309,133 @@ const validateEditNFTRequest = (req, res, next) => {
     next();
 };
 
+// Vetting gate middleware for minting; getBraavVersion picks the version field of the mint request,
+// and an optional vettingTable in the request selects the table the recipient must be approved in
+const requireVettedRecipient = (getBraavVersion) => async (req, res, next) => {
+    try {
+        const rejection = await checkVettingGate(req.body.recipientAddress, getBraavVersion(req.body), req.body.vettingTable || null);
+        if (rejection) {
+            return res.status(rejection.httpStatus).json({
+                ...rejection.body,
+                timestamp: new Date().toISOString()
+            });
+        }
+        next();
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        next(error);
+    }
+};
+
+// Request validation middleware for the optional walletCredentials of a server-signed submission:
+// a plain object naming a custodial userId, a mnemonic or a privateKey
+const WALLET_CREDENTIAL_FIELDS = ['userId', 'mnemonic', 'privateKey', 'keyScheme'];
+
+const validateWalletCredentials = (req, res, next) => {
+    const { walletCredentials } = req.body;
+
+    if (typeof walletCredentials === 'undefined' || walletCredentials === null) {
+        return next();
+    }
+
+    const credentialErrors = [];
+    if (typeof walletCredentials !== 'object' || Array.isArray(walletCredentials)) {
+        credentialErrors.push('walletCredentials must be an object');
+    } else {
+        for (const field of WALLET_CREDENTIAL_FIELDS) {
+            if (typeof walletCredentials[field] !== 'undefined' && (typeof walletCredentials[field] !== 'string' || !walletCredentials[field])) {
+                credentialErrors.push(`walletCredentials.${field} must be a non-empty string`);
+            }
+        }
+        if (!walletCredentials.userId && !walletCredentials.mnemonic && !walletCredentials.privateKey) {
+            credentialErrors.push('walletCredentials must contain userId, mnemonic or privateKey');
+        }
+    }
+
+    if (credentialErrors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid walletCredentials',
+            details: credentialErrors
+        });
+    }
+
+    next();
+};
+
+// Request validation middleware for the optional application dossier sent with a vetting submission
+const validateSubmissionDossier = (req, res, next) => {
+    const { dossier } = req.body;
+
+    if (typeof dossier === 'undefined') {
+        return next();
+    }
+
+    const dossierErrors = dossier && typeof dossier === 'object'
+        ? validateDossierFields(dossier)
+        : ['dossier must be an object'];
+
+    if (dossierErrors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid dossier',
+            details: dossierErrors
+        });
+    }
+
+    next();
+};
+
+// The submission has already executed on-chain when its dossier is saved, so a failed save is
+// reported next to the successful result rather than as a failed request
+const saveSubmissionDossier = async (result, dossier) => {
+    try {
+        return { dossier: await recordDossierSubmission(result.applicantAddress, result.transactionDigest, dossier) };
+    } catch (error) {
+        console.error('Dossier save error after vetting submission:', error);
+        return {
+            dossier: null,
+            dossierError: `Vetting submission succeeded but the dossier could not be saved: ${error.message}`
+        };
+    }
+};
+
+// Result of a mint_and_transfer call, once executed
+async function finalizeMint(result, { recipientAddress, nftName, badgeCoinId }) {
+    // Check transaction status
+    if (result.effects?.status.status !== 'success') {
+        throw new Error(`Transaction failed: ${result.effects?.status.error || 'Unknown error'}`);
+    }
+
+    // Extract the minted NFT object ID
+    const createdNFT = result.objectChanges?.find(
+        (change) =>
+            change.type === 'created' &&
+            change.objectType.includes('::braav_public::NFT')
+    );
+
+    const nftObjectId = createdNFT?.objectId ?? 'Not found';
+
+    return {
+        success: true,
+        transactionDigest: result.digest,
+        nftObjectId,
+        recipientAddress,
+        nftName,
+        badgeCoinId,
+        gasUsed: result.effects?.gasUsed,
+        fullResult: result
+    };
+}
+
+registerAdminOperation('nft.mint', finalizeMint);
+
 // Main minting function
 async function mintNFT(params) {
     const {
@@ -143,20 +450,14 @@ async function mintNFT(params) {
     } = params;
 
     // Get sensitive data from environment variables
-    const mnemonic = process.env.MNEMONIC;
     const suiNetwork = process.env.SUI_NETWORK;
     const clockObjectId = process.env.CLOCK_OBJECT_ID || '0x6';
 
-    if (!mnemonic) {
-        throw new Error('MNEMONIC not set in environment variables');
-    }
     if (!suiNetwork) {
         throw new Error('SUI_NETWORK not set in environment variables');
     }
 
     try {
-        // Initialize client and keypair
-        const keypair = Ed25519Keypair.deriveKeypair(mnemonic);
         const client = new SuiClient({ url: suiNetwork });
         const nftType = `${packageId}::xoa::${nftVersion}`;
 
@@ -188,10 +489,10 @@ async function mintNFT(params) {
 
         tx.setGasBudget(10000000);
 
-        // Sign and execute the transaction
-        const result = await client.signAndExecuteTransaction({
-            signer: keypair,
-            transaction: tx,
+        // Sign and execute the transaction (or queue it for the admin multisig)
+        return await executeAdminTransaction(tx, {
+            operation: 'nft.mint',
+            params: { recipientAddress, nftName, badgeCoinId },
             options: {
                 showObjectChanges: true,
                 showEffects: true,
@@ -199,39 +500,94 @@ async function mintNFT(params) {
                 showBalanceChanges: true,
                 showInput: true,
             },
+            client,
         });
-
-        // Check transaction status
-        if (result.effects?.status.status !== 'success') {
-            throw new Error(`Transaction failed: ${result.effects?.status.error || 'Unknown error'}`);
-        }
-
-        // Extract the minted NFT object ID
-        const createdNFT = result.objectChanges?.find(
-            (change) =>
-                change.type === 'created' &&
-                change.objectType.includes('::braav_public::NFT')
-        );
-
-        const nftObjectId = createdNFT?.objectId ?? 'Not found';
-
-        return {
-            success: true,
-            transactionDigest: result.digest,
-            nftObjectId,
-            recipientAddress,
-            nftName,
-            badgeCoinId,
-            gasUsed: result.effects?.gasUsed,
-            fullResult: result
-        };
-
     } catch (error) {
         console.error('❌ Error minting NFT:', error.message);
         throw error;
     }
 }
 
+// Badges minted alongside an approval are announced as their own mint events
+const emitBadgeMinted = (result) => {
+    if (!result.badge) return;
+    emitEvent(result.badge.kind === 'restricted' ? 'restricted_nft.minted' : 'nft.minted', {
+        transactionDigest: result.transactionDigest,
+        recipientAddress: result.applicantAddress,
+        objectId: result.badge.objectId,
+        braavVersion: result.badge.braavVersion
+    });
+};
+
+// Webhook events for a finished admin operation
+const announceAdminOperation = (operation, result) => {
+    switch (operation) {
+        case 'vetting.approve':
+            emitEvent('vetting.approved', {
+                transactionDigest: result.transactionDigest,
+                applicantAddress: result.applicantAddress,
+                vettingTableId: result.vettingTableId,
+                expiresAt: result.expiresAt
+            });
+            emitBadgeMinted(result);
+            break;
+        case 'vetting.reject':
+            emitEvent('vetting.rejected', {
+                transactionDigest: result.transactionDigest,
+                applicantAddress: result.applicantAddress,
+                vettingTableId: result.vettingTableId
+            });
+            break;
+        case 'vetting.revoke':
+            emitEvent('vetting.revoked', {
+                transactionDigest: result.transactionDigest,
+                applicantAddress: result.applicantAddress,
+                vettingTableId: result.vettingTableId
+            });
+            break;
+        case 'vetting.batch_approve':
+            for (const applicantAddress of result.addresses) {
+                emitEvent('vetting.approved', { transactionDigest: result.transactionDigest, applicantAddress, vettingTableId: result.vettingTableId });
+            }
+            break;
+        case 'nft.mint':
+            emitEvent('nft.minted', {
+                transactionDigest: result.transactionDigest,
+                recipientAddress: result.recipientAddress,
+                objectId: result.nftObjectId,
+                nftName: result.nftName,
+                badgeCoinId: result.badgeCoinId
+            });
+            break;
+        case 'restricted_nft.mint':
+            emitEvent('restricted_nft.minted', {
+                transactionDigest: result.transactionDigest,
+                recipientAddress: result.recipientAddress,
+                objectId: result.restrictedNftObjectId,
+                nftName: result.nftName,
+                coinId: result.coinId,
+                braavVersion: result.braavVersion
+            });
+            break;
+        case 'nft.edit':
+            emitEvent('nft.edited', {
+                transactionDigest: result.transactionDigest,
+                objectId: result.nftObjectId,
+                newName: result.newName,
+                newCoinId: result.newCoinId,
+                braavVersion: result.braavVersion
+            });
+            break;
+    }
+};
+
+// Multisig admin transactions execute when their last signature arrives, so they are announced then
+onAdminTransactionSettled((transaction) => {
+    if (transaction.status === 'executed') {
+        announceAdminOperation(transaction.operation, transaction.result);
+    }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ 
@@ -244,9 +600,9 @@ app.get('/health', (req, res) => {
 // API Routes
 
 // 1. Approve Vetting
-app.post('/api/approve-vetting', async (req, res) => {
+app.post('/api/approve-vetting', requireAdmin, async (req, res) => {
     try {
-        const { applicantAddress } = req.body;
+        const { applicantAddress, mintBadge, validityDays, vettingTable } = req.body;
         
         if (!applicantAddress) {
             return res.status(400).json({ 
@@ -254,21 +610,38 @@ app.post('/api/approve-vetting', async (req, res) => {
             });
         }
 
-        const result = await approveVetting(applicantAddress);
+        if (isReviewRequired()) {
+            return res.status(403).json({
+                error: 'Approvals require reviewer quorum; submit votes to /api/vetting-reviews instead'
+            });
+        }
+
+        if (typeof validityDays !== 'undefined' && (typeof validityDays !== 'number' || validityDays <= 0)) {
+            return res.status(400).json({
+                error: 'validityDays must be a positive number'
+            });
+        }
+
+        const badge = await resolveBadgeOption(mintBadge);
+        const result = await approveVetting(applicantAddress, { badge, validityDays, vettingTable });
+        if (isPendingAdminTransaction(result)) {
+            return res.status(202).json(result);
+        }
+        announceAdminOperation('vetting.approve', result);
         res.json(result);
     } catch (error) {
         console.error('Approve vetting error:', error);
-        res.status(500).json({ 
+        res.status(error.statusCode || 500).json({ 
             error: error.message,
             endpoint: '/api/approve-vetting'
         });
     }
 });
 
-// 2. Check Vetting Status
-app.post('/api/status-of-vetting', async (req, res) => {
+// 12. Reject Vetting
+app.post('/api/reject-vetting', requireAdmin, async (req, res) => {
     try {
-        const { applicantAddress } = req.body;
+        const { applicantAddress, vettingTable } = req.body;
         
         if (!applicantAddress) {
             return res.status(400).json({ 
@@ -276,90 +649,1049 @@ app.post('/api/status-of-vetting', async (req, res) => {
             });
         }
 
-        const result = await statusOfVetting(applicantAddress);
+        if (!isValidSuiAddress(applicantAddress)) {
+            return res.status(400).json({
+                error: 'Invalid applicant address format',
+                applicantAddress
+            });
+        }
+
+        const result = await rejectVetting(applicantAddress, { vettingTable });
+        if (isPendingAdminTransaction(result)) {
+            return res.status(202).json(result);
+        }
+        announceAdminOperation('vetting.reject', result);
         res.json(result);
     } catch (error) {
-        console.error('Status check error:', error);
-        res.status(500).json({ 
+        console.error('Reject vetting error:', error);
+        res.status(error.statusCode || 500).json({ 
             error: error.message,
-            endpoint: '/api/status-of-vetting'
+            endpoint: '/api/reject-vetting'
         });
     }
 });
 
-// 3. Submit for Vetting
-app.post('/api/submit-for-vetting', async (req, res) => {
+// 13. Revoke Vetting
+app.post('/api/revoke-vetting', requireAdmin, async (req, res) => {
     try {
-        const { walletCredentials } = req.body;
+        const { applicantAddress, vettingTable } = req.body;
         
-        // walletCredentials should be provided - if not provided, will use env variables as fallback
-        const result = await submitForVetting(walletCredentials);
+        if (!applicantAddress) {
+            return res.status(400).json({ 
+                error: 'applicantAddress is required in request body' 
+            });
+        }
+
+        if (!isValidSuiAddress(applicantAddress)) {
+            return res.status(400).json({
+                error: 'Invalid applicant address format',
+                applicantAddress
+            });
+        }
+
+        const result = await revokeVetting(applicantAddress, { vettingTable });
+        if (isPendingAdminTransaction(result)) {
+            return res.status(202).json(result);
+        }
+        announceAdminOperation('vetting.revoke', result);
         res.json(result);
     } catch (error) {
-        console.error('Submit for vetting error:', error);
-        res.status(500).json({ 
+        console.error('Revoke vetting error:', error);
+        res.status(error.statusCode || 500).json({ 
             error: error.message,
-            endpoint: '/api/submit-for-vetting'
+            endpoint: '/api/revoke-vetting'
         });
     }
 });
 
-// 4. Initialize Vetting Table
-app.post('/api/initialize-vetting-table', async (req, res) => {
+// 14. Batch Approve Vetting
+app.post('/api/batch-approve-vetting', requireAdmin, async (req, res) => {
     try {
-        const result = await initializeVettingTable();
+        const { applicantAddresses, chunkSize, validityDays, mintBadge, vettingTable } = req.body;
+
+        if (isReviewRequired()) {
+            return res.status(403).json({
+                error: 'Approvals require reviewer quorum; submit votes to /api/vetting-reviews instead'
+            });
+        }
+        
+        if (!Array.isArray(applicantAddresses) || applicantAddresses.length === 0) {
+            return res.status(400).json({ 
+                error: 'applicantAddresses must be a non-empty array in request body' 
+            });
+        }
+
+        const invalidAddresses = applicantAddresses.filter(address => !isValidSuiAddress(address));
+        if (invalidAddresses.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid applicant address format',
+                invalidAddresses
+            });
+        }
+
+        if (typeof chunkSize !== 'undefined' && (!Number.isInteger(chunkSize) || chunkSize <= 0 || chunkSize > 500)) {
+            return res.status(400).json({
+                error: 'chunkSize must be an integer between 1 and 500'
+            });
+        }
+
+        if (typeof validityDays !== 'undefined' && (typeof validityDays !== 'number' || validityDays <= 0)) {
+            return res.status(400).json({
+                error: 'validityDays must be a positive number'
+            });
+        }
+
+        const badge = await resolveBadgeOption(mintBadge);
+        const result = await batchApproveVetting(applicantAddresses, chunkSize, validityDays, badge, vettingTable);
+        for (const [applicantAddress, entry] of Object.entries(result.results)) {
+            if (entry.result === 'approved') {
+                emitEvent('vetting.approved', { transactionDigest: entry.transactionDigest, applicantAddress, vettingTableId: result.vettingTableId });
+            }
+        }
         res.json(result);
     } catch (error) {
-        console.error('Initialize vetting table error:', error);
-        res.status(500).json({ 
+        console.error('Batch approve vetting error:', error);
+        res.status(error.statusCode || 500).json({ 
             error: error.message,
-            endpoint: '/api/initialize-vetting-table'
+            endpoint: '/api/batch-approve-vetting'
         });
     }
 });
 
-// 5. Create Custodial Wallet
-app.post('/api/create-wallet', async (req, res) => {
+// 19. Record Reviewer Vote
+app.post('/api/vetting-reviews', requireReviewer, async (req, res) => {
     try {
-        const { userDetails, useStandardMnemonic } = req.body;
+        const { applicantAddress, vote, comment, vettingTable } = req.body;
         
-        if (!userDetails || !userDetails.id) {
+        if (!applicantAddress || !vote) {
             return res.status(400).json({ 
-                error: 'userDetails with id is required in request body' 
+                error: 'applicantAddress and vote are required in request body' 
             });
         }
 
-        // Add default values if not provided
-        const completeUserDetails = {
-            id: userDetails.id,
-            created_at: userDetails.created_at || new Date().toISOString(),
-            secret_key: userDetails.secret_key || crypto.randomBytes(32).toString('hex'),
-            ...userDetails
-        };
+        if (!isValidSuiAddress(applicantAddress)) {
+            return res.status(400).json({
+                error: 'Invalid applicant address format',
+                applicantAddress
+            });
+        }
 
-        let result;
-        if (useStandardMnemonic) {
-            result = await createCustodialWalletWithStandardMnemonic(completeUserDetails);
-        } else {
-            result = await createCustodialWallet(completeUserDetails);
+        if (vote !== 'approve' && vote !== 'deny') {
+            return res.status(400).json({
+                error: 'vote must be either "approve" or "deny"'
+            });
         }
-        
-        res.json({
-            success: true,
-            wallet: result,
-            message: 'Custodial wallet created successfully'
+
+        if (typeof comment !== 'undefined' && typeof comment !== 'string') {
+            return res.status(400).json({
+                error: 'comment must be a string'
+            });
+        }
+
+        const result = await castReviewVote(applicantAddress, req.auth.reviewer, vote, comment, { vettingTable });
+        if (result.status === 'resolved') {
+            emitEvent(result.outcome === 'approved' ? 'vetting.approved' : 'vetting.rejected', {
+                transactionDigest: result.transactionDigest,
+                applicantAddress: result.applicantAddress,
+                vettingTableId: result.vettingTableId,
+                reviewQuorum: result.quorum
+            });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Vetting review error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/vetting-reviews'
+        });
+    }
+});
+
+// 20. Get Review History
+app.get('/api/vetting-reviews/:applicantAddress', requireAdmin, async (req, res) => {
+    try {
+        const { applicantAddress } = req.params;
+
+        if (!isValidSuiAddress(applicantAddress)) {
+            return res.status(400).json({
+                error: 'Invalid applicant address format',
+                applicantAddress
+            });
+        }
+
+        const result = await getReviewHistory(applicantAddress, { vettingTable: req.query.vettingTable || null });
+        res.json(result);
+    } catch (error) {
+        console.error('Vetting review history error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/vetting-reviews/:applicantAddress'
+        });
+    }
+});
+
+// 50. Reopen a Review Stuck Executing
+app.post('/api/vetting-reviews/:applicantAddress/reopen', requireAdmin, async (req, res) => {
+    try {
+        const { applicantAddress } = req.params;
+
+        if (!isValidSuiAddress(applicantAddress)) {
+            return res.status(400).json({
+                error: 'Invalid applicant address format',
+                applicantAddress
+            });
+        }
+
+        const result = await reopenReview(applicantAddress, { vettingTable: req.body.vettingTable || null });
+        res.json(result);
+    } catch (error) {
+        console.error('Vetting review reopen error:', error);
+        res.status(error.statusCode || 500).json({
+            error: error.message,
+            endpoint: '/api/vetting-reviews/:applicantAddress/reopen'
         });
+    }
+});
+
+// 26. List Approvals Due for Re-vetting
+app.get('/api/vetting-expiry/due', requireAdmin, async (req, res) => {
+    try {
+        const withinDays = typeof req.query.withinDays === 'undefined' ? 0 : Number(req.query.withinDays);
+
+        if (!Number.isFinite(withinDays) || withinDays < 0) {
+            return res.status(400).json({
+                error: 'withinDays must be a non-negative number'
+            });
+        }
+
+        const due = await findDueForRevetting(withinDays);
+        res.json({ success: true, withinDays, count: due.length, due });
+    } catch (error) {
+        console.error('Vetting expiry lookup error:', error);
+        res.status(500).json({ 
+            error: error.message,
+            endpoint: '/api/vetting-expiry/due'
+        });
+    }
+});
+
+// 27. Sweep Expired Approvals
+app.post('/api/vetting-expiry/sweep', requireAdmin, async (req, res) => {
+    try {
+        const { revoke } = req.body;
+        const result = await sweepExpiredApprovals({ revoke: revoke === true });
+        res.json(result);
+    } catch (error) {
+        console.error('Vetting expiry sweep error:', error);
+        res.status(500).json({ 
+            error: error.message,
+            endpoint: '/api/vetting-expiry/sweep'
+        });
+    }
+});
+
+// 2. Check Vetting Status
+app.post('/api/status-of-vetting', requireAddressAccess(req => req.body.applicantAddress), async (req, res) => {
+    try {
+        const { applicantAddress, vettingTable } = req.body;
+        
+        if (!applicantAddress) {
+            return res.status(400).json({ 
+                error: 'applicantAddress is required in request body' 
+            });
+        }
+
+        if (!isValidApplicantAddress(applicantAddress)) {
+            return res.status(400).json({
+                error: 'Invalid applicant address format',
+                applicantAddress
+            });
+        }
+
+        const result = await statusOfVetting(applicantAddress, { vettingTable });
+        if (result.status === 'error') {
+            // 503 when the fullnode can't be reached, 502 when it answered with a failure
+            return res.status(result.errorType === 'rpc_unavailable' ? 503 : 502).json(result);
+        }
+
+        const dossier = await getDossier(applicantAddress);
+        res.json(dossier ? { ...result, dossier } : result);
+    } catch (error) {
+        console.error('Status check error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/status-of-vetting'
+        });
+    }
+});
+
+// 15. Bulk Check Vetting Status
+app.post('/api/bulk-status-of-vetting', requireAdmin, async (req, res) => {
+    try {
+        const { applicantAddresses, vettingTable } = req.body;
+        
+        if (!Array.isArray(applicantAddresses) || applicantAddresses.length === 0) {
+            return res.status(400).json({ 
+                error: 'applicantAddresses must be a non-empty array in request body' 
+            });
+        }
+
+        if (applicantAddresses.length > 1000) {
+            return res.status(400).json({
+                error: 'At most 1000 applicantAddresses can be checked per request'
+            });
+        }
+
+        const invalidAddresses = applicantAddresses.filter(address => !isValidApplicantAddress(address));
+        if (invalidAddresses.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid applicant address format',
+                invalidAddresses
+            });
+        }
+
+        const result = await bulkStatusOfVetting(applicantAddresses, undefined, { vettingTable });
+        res.json(result);
+    } catch (error) {
+        console.error('Bulk status check error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/bulk-status-of-vetting'
+        });
+    }
+});
+
+// 16. List Vetting Applicants
+app.get('/api/vetting-applicants', requireAdmin, async (req, res) => {
+    try {
+        const { status, cursor, vettingTable } = req.query;
+        const limit = typeof req.query.limit === 'undefined' ? undefined : Number(req.query.limit);
+        const allowedStatuses = ['pending', 'approved', 'rejected', 'revoked', 'expired'];
+
+        if (status && !allowedStatuses.includes(status)) {
+            return res.status(400).json({
+                error: `status must be one of: ${allowedStatuses.join(', ')}`
+            });
+        }
+
+        if (typeof limit !== 'undefined' && (!Number.isInteger(limit) || limit <= 0 || limit > 200)) {
+            return res.status(400).json({
+                error: 'limit must be an integer between 1 and 200'
+            });
+        }
+
+        const result = await listVettingApplicants({ status, cursor: cursor || null, limit, vettingTable: vettingTable || null });
+        res.json(result);
+    } catch (error) {
+        console.error('List vetting applicants error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/vetting-applicants'
+        });
+    }
+});
+
+// 3. Submit for Vetting
+app.post('/api/submit-for-vetting', validateWalletCredentials, requireAdminTokenForServerSigning, validateSubmissionDossier, async (req, res) => {
+    try {
+        const { walletCredentials, sponsored, dossier, vettingTable } = req.body;
+        
+        // walletCredentials should be provided - if not provided, will use env variables as fallback
+        const result = await submitForVetting(walletCredentials, {
+            sponsored: sponsored === true,
+            vettingTable,
+            autoTopUp: req.auth?.role === 'admin'
+        });
+        const savedDossier = await saveSubmissionDossier(result, dossier);
+        emitEvent('vetting.submitted', {
+            transactionDigest: result.transactionDigest,
+            applicantAddress: result.applicantAddress,
+            vettingTableId: result.vettingTableId,
+            sponsored: result.sponsored === true
+        });
+        res.json({ ...result, ...savedDossier });
+    } catch (error) {
+        console.error('Submit for vetting error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/submit-for-vetting'
+        });
+    }
+});
+
+// 17. Build Vetting Submission (client-side signing, step 1)
+app.post('/api/build-vetting-submission', requireSessionForSponsoredBuild, async (req, res) => {
+    try {
+        const { senderAddress, sponsored, vettingTable } = req.body;
+        
+        if (!senderAddress) {
+            return res.status(400).json({ 
+                error: 'senderAddress is required in request body' 
+            });
+        }
+
+        if (!isValidSuiAddress(senderAddress)) {
+            return res.status(400).json({
+                error: 'Invalid sender address format',
+                senderAddress
+            });
+        }
+
+        const result = await buildVettingSubmission(senderAddress, { sponsored: sponsored === true, vettingTable });
+        res.json(result);
+    } catch (error) {
+        console.error('Build vetting submission error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/build-vetting-submission'
+        });
+    }
+});
+
+// 18. Execute Vetting Submission (client-side signing, step 2)
+app.post('/api/execute-vetting-submission', validateSubmissionDossier, async (req, res) => {
+    try {
+        const { transactionBytes, signature, dossier } = req.body;
+        
+        if (!transactionBytes || !signature) {
+            return res.status(400).json({ 
+                error: 'transactionBytes and signature are required in request body' 
+            });
+        }
+
+        const result = await executeVettingSubmission(transactionBytes, signature);
+        const savedDossier = await saveSubmissionDossier(result, dossier);
+        emitEvent('vetting.submitted', {
+            transactionDigest: result.transactionDigest,
+            applicantAddress: result.applicantAddress,
+            vettingTableId: result.vettingTableId,
+            sponsored: result.sponsored === true
+        });
+        res.json({ ...result, ...savedDossier });
+    } catch (error) {
+        console.error('Execute vetting submission error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/execute-vetting-submission'
+        });
+    }
+});
+
+// 21. Create Application Dossier
+app.post('/api/dossiers', requireAdmin, async (req, res) => {
+    try {
+        const { applicantAddress, ...fields } = req.body;
+        
+        if (!applicantAddress || !isValidSuiAddress(applicantAddress)) {
+            return res.status(400).json({ 
+                error: 'A valid applicantAddress is required in request body' 
+            });
+        }
+
+        const dossierErrors = validateDossierFields(fields);
+        if (dossierErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid dossier',
+                details: dossierErrors
+            });
+        }
+
+        const dossier = await createDossier(applicantAddress, fields);
+        res.status(201).json({ success: true, dossier });
+    } catch (error) {
+        console.error('Create dossier error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/dossiers'
+        });
+    }
+});
+
+// 22. List Application Dossiers
+app.get('/api/dossiers', requireAdmin, async (req, res) => {
+    try {
+        const dossiers = await listDossiers();
+        res.json({ success: true, count: dossiers.length, dossiers });
+    } catch (error) {
+        console.error('List dossiers error:', error);
+        res.status(500).json({ 
+            error: error.message,
+            endpoint: '/api/dossiers'
+        });
+    }
+});
+
+// 23. Get Application Dossier
+app.get('/api/dossiers/:applicantAddress', requireAddressAccess(req => req.params.applicantAddress), async (req, res) => {
+    try {
+        const { applicantAddress } = req.params;
+
+        if (!isValidSuiAddress(applicantAddress)) {
+            return res.status(400).json({
+                error: 'Invalid applicant address format',
+                applicantAddress
+            });
+        }
+
+        const dossier = await getDossier(applicantAddress);
+        if (!dossier) {
+            return res.status(404).json({
+                error: `No dossier found for ${applicantAddress}`
+            });
+        }
+        res.json({ success: true, dossier });
+    } catch (error) {
+        console.error('Get dossier error:', error);
+        res.status(500).json({ 
+            error: error.message,
+            endpoint: '/api/dossiers/:applicantAddress'
+        });
+    }
+});
+
+// 24. Update Application Dossier
+app.put('/api/dossiers/:applicantAddress', requireAdmin, async (req, res) => {
+    try {
+        const { applicantAddress } = req.params;
+
+        if (!isValidSuiAddress(applicantAddress)) {
+            return res.status(400).json({
+                error: 'Invalid applicant address format',
+                applicantAddress
+            });
+        }
+
+        const dossierErrors = validateDossierFields(req.body);
+        if (dossierErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid dossier',
+                details: dossierErrors
+            });
+        }
+
+        const dossier = await updateDossier(applicantAddress, req.body);
+        res.json({ success: true, dossier });
+    } catch (error) {
+        console.error('Update dossier error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/dossiers/:applicantAddress'
+        });
+    }
+});
+
+// 25. Delete Application Dossier
+app.delete('/api/dossiers/:applicantAddress', requireAdmin, async (req, res) => {
+    try {
+        const { applicantAddress } = req.params;
+
+        if (!isValidSuiAddress(applicantAddress)) {
+            return res.status(400).json({
+                error: 'Invalid applicant address format',
+                applicantAddress
+            });
+        }
+
+        const result = await deleteDossier(applicantAddress);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Delete dossier error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/dossiers/:applicantAddress'
+        });
+    }
+});
+
+// 28. Request Sign-in Challenge
+app.post('/api/auth/challenge', (req, res) => {
+    try {
+        const { address } = req.body;
+
+        if (!address || !isValidSuiAddress(address)) {
+            return res.status(400).json({
+                error: 'A valid address is required in request body'
+            });
+        }
+
+        res.json({ success: true, ...createChallenge(address, { client: req.ip }) });
+    } catch (error) {
+        console.error('Sign-in challenge error:', error.message);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/auth/challenge'
+        });
+    }
+});
+
+// 29. Verify Signed Challenge
+app.post('/api/auth/verify', async (req, res) => {
+    try {
+        const { challengeId, signature } = req.body;
+        
+        if (!challengeId || !signature) {
+            return res.status(400).json({ 
+                error: 'challengeId and signature are required in request body' 
+            });
+        }
+
+        const session = await verifyChallenge(challengeId, signature);
+        res.json({ success: true, ...session });
+    } catch (error) {
+        console.error('Sign-in verification error:', error.message);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/auth/verify'
+        });
+    }
+});
+
+// 30. List Badges Owned by an Address
+app.get('/api/badges/:ownerAddress', requireAddressAccess(req => req.params.ownerAddress), async (req, res) => {
+    try {
+        const { ownerAddress } = req.params;
+
+        if (!isValidSuiAddress(ownerAddress)) {
+            return res.status(400).json({
+                error: 'Invalid owner address format',
+                ownerAddress
+            });
+        }
+
+        const result = await listBadges(ownerAddress);
+        res.json(result);
+    } catch (error) {
+        console.error('List badges error:', error);
+        res.status(500).json({ 
+            error: error.message,
+            endpoint: '/api/badges/:ownerAddress'
+        });
+    }
+});
+
+// 4. Initialize Vetting Table
+app.post('/api/initialize-vetting-table', requireAdmin, async (req, res) => {
+    try {
+        const result = await initializeVettingTable(req.body.name || null);
+        if (isPendingAdminTransaction(result)) {
+            return res.status(202).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Initialize vetting table error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/initialize-vetting-table'
+        });
+    }
+});
+
+// 35. Register Existing Vetting Table
+app.post('/api/vetting-tables', requireAdmin, async (req, res) => {
+    try {
+        const { name, vettingTableId } = req.body;
+
+        if (!name || !vettingTableId) {
+            return res.status(400).json({ 
+                error: 'name and vettingTableId are required in request body' 
+            });
+        }
+
+        const table = await registerVettingTable(name, vettingTableId);
+        res.status(201).json({ success: true, table });
+    } catch (error) {
+        console.error('Register vetting table error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/vetting-tables'
+        });
+    }
+});
+
+// 36. List Vetting Tables
+app.get('/api/vetting-tables', requireAdmin, async (req, res) => {
+    try {
+        const result = await listVettingTables();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('List vetting tables error:', error);
+        res.status(500).json({ 
+            error: error.message,
+            endpoint: '/api/vetting-tables'
+        });
+    }
+});
+
+// 5. Create Custodial Wallet
+app.post('/api/create-wallet', requireAdmin, async (req, res) => {
+    try {
+        const { userDetails, useStandardMnemonic, hdAccount, wordCount = 12, keyScheme = 'ED25519' } = req.body;
+        
+        if (!userDetails || !userDetails.id) {
+            return res.status(400).json({ 
+                error: 'userDetails with id is required in request body' 
+            });
+        }
+
+        if (!isSupportedWordCount(wordCount)) {
+            return res.status(400).json({
+                error: 'wordCount must be 12 or 24'
+            });
+        }
+
+        const scheme = normalizeKeyScheme(keyScheme);
+        if (!scheme) {
+            return res.status(400).json({
+                error: `keyScheme must be one of ${KEY_SCHEMES.join(', ')}`
+            });
+        }
+
+        // Add default values if not provided
+        const completeUserDetails = {
+            id: userDetails.id,
+            created_at: userDetails.created_at || new Date().toISOString(),
+            secret_key: userDetails.secret_key || crypto.randomBytes(32).toString('hex'),
+            ...userDetails
+        };
+
+        const userId = String(userDetails.id);
+        if (await findCustodialWallet(userId)) {
+            return res.status(409).json({
+                error: `A custodial wallet already exists for user ${userId}`
+            });
+        }
+
+        // A deterministic wallet is re-derived by /api/recover-wallet from id:created_at:secret_key,
+        // so it is only made when the caller supplies both and can send them again; filling in a
+        // random secret the caller never sees would give an address nothing can recover
+        const deterministic = Boolean(userDetails.created_at && userDetails.secret_key);
+
+        let result;
+        let source;
+        if (hdAccount) {
+            result = await deriveUserAccount(userId, { keyScheme: scheme });
+            source = 'hd';
+        } else if (useStandardMnemonic || !deterministic) {
+            result = await createCustodialWalletWithStandardMnemonic(completeUserDetails, { wordCount, keyScheme: scheme });
+            source = 'random';
+        } else {
+            result = await createCustodialWallet(completeUserDetails, { wordCount, keyScheme: scheme });
+            source = 'deterministic';
+        }
+
+        // Key material goes into the encrypted keystore; only public details are returned
+        const stored = await storeCustodialKey(userId, result, source);
+        
+        res.json({
+            success: true,
+            wallet: {
+                userId: stored.userId,
+                address: stored.address,
+                publicKey: stored.publicKey,
+                keyScheme: stored.keyScheme,
+                source,
+                ...(hdAccount && { accountIndex: result.accountIndex, derivationPath: result.derivationPath })
+            },
+            message: 'Custodial wallet created successfully'
+        });
+    } catch (error) {
+        console.error('Create wallet error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/create-wallet'
+        });
+    }
+});
+
+// 37. Get Custodial Wallet
+app.get('/api/custodial-wallets/:userId', requireAdmin, async (req, res) => {
+    try {
+        const wallet = await getCustodialWallet(req.params.userId);
+        res.json({ success: true, wallet });
+    } catch (error) {
+        console.error('Get custodial wallet error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/custodial-wallets/:userId'
+        });
+    }
+});
+
+// 38. Export Custodial Key (needs an X-Key-Export-Token from KEY_EXPORT_TOKENS)
+app.post('/api/custodial-wallets/:userId/export', requireAdmin, async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        if (!isKeyExportAuthorized(req.headers['x-key-export-token'])) {
+            return res.status(403).json({
+                error: 'Key export requires a valid X-Key-Export-Token header'
+            });
+        }
+
+        if (!reason || typeof reason !== 'string') {
+            return res.status(400).json({
+                error: 'reason is required in request body'
+            });
+        }
+
+        const result = await exportCustodialKey(req.params.userId, {
+            reason,
+            requestedBy: req.auth?.address || req.auth?.role || null
+        });
+        console.warn(`🔑 Exported custodial key for user ${req.params.userId}: ${reason}`);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Export custodial key error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/custodial-wallets/:userId/export'
+        });
+    }
+});
+
+// 39. Recover Custodial Wallet
+app.post('/api/recover-wallet', requireAdmin, async (req, res) => {
+    try {
+        const { userDetails, expectedAddress, wordCount, keyScheme } = req.body;
+
+        if (!userDetails || !userDetails.id || !userDetails.created_at || !userDetails.secret_key) {
+            return res.status(400).json({ 
+                error: 'userDetails with id, created_at and secret_key is required in request body' 
+            });
+        }
+
+        if (expectedAddress && !isValidSuiAddress(expectedAddress)) {
+            return res.status(400).json({
+                error: 'Invalid expected address format',
+                expectedAddress
+            });
+        }
+
+        if (typeof wordCount !== 'undefined' && !isSupportedWordCount(wordCount)) {
+            return res.status(400).json({
+                error: 'wordCount must be 12 or 24'
+            });
+        }
+
+        if (typeof keyScheme !== 'undefined' && !normalizeKeyScheme(keyScheme)) {
+            return res.status(400).json({
+                error: `keyScheme must be one of ${KEY_SCHEMES.join(', ')}`
+            });
+        }
+
+        const result = await recoverCustodialWallet(userDetails, { expectedAddress, wordCount, keyScheme });
+        res.json(result);
+    } catch (error) {
+        console.error('Recover wallet error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/recover-wallet'
+        });
+    }
+});
+
+// 40. List HD Accounts
+app.get('/api/hd-accounts', requireAdmin, async (req, res) => {
+    try {
+        const offset = req.query.offset ? Number(req.query.offset) : 0;
+        const limit = req.query.limit ? Number(req.query.limit) : 100;
+
+        if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit <= 0 || limit > 1000) {
+            return res.status(400).json({
+                error: 'offset must be a non-negative integer and limit an integer between 1 and 1000'
+            });
+        }
+
+        const result = await listHdAccounts({ offset, limit });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('List HD accounts error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/hd-accounts'
+        });
+    }
+});
+
+// 41. Rotate Custodial Key
+app.post('/api/custodial-wallets/:userId/rotate', requireAdminToken, async (req, res) => {
+    try {
+        const result = await rotateCustodialKey(req.params.userId);
+        console.log(`🔁 Rotated custodial key for user ${req.params.userId}: ${result.oldAddress} -> ${result.newAddress}`);
+        res.json(result);
+    } catch (error) {
+        console.error('Rotate custodial key error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/custodial-wallets/:userId/rotate'
+        });
+    }
+});
+
+// 42. List Admin Multisig Transactions
+app.get('/api/admin-transactions', requireAdmin, async (req, res) => {
+    try {
+        const { status } = req.query;
+        const limit = req.query.limit ? Number(req.query.limit) : 100;
+
+        if (status && !['pending', 'executing', 'executed', 'failed', 'cancelled', 'stale', 'unknown'].includes(status)) {
+            return res.status(400).json({
+                error: 'status must be one of pending, executing, executed, failed, cancelled, stale or unknown'
+            });
+        }
+
+        if (!Number.isInteger(limit) || limit <= 0 || limit > 1000) {
+            return res.status(400).json({
+                error: 'limit must be an integer between 1 and 1000'
+            });
+        }
+
+        const transactions = await listAdminTransactions({ status, limit });
+        res.json({ success: true, multisig: describeMultisigAdmin(), transactions });
+    } catch (error) {
+        console.error('List admin transactions error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/admin-transactions'
+        });
+    }
+});
+
+// 43. Get Admin Multisig Transaction
+app.get('/api/admin-transactions/:id', requireAdmin, async (req, res) => {
+    try {
+        const transaction = await getAdminTransaction(req.params.id);
+        res.json({ success: true, transaction });
+    } catch (error) {
+        console.error('Get admin transaction error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/admin-transactions/:id'
+        });
+    }
+});
+
+// 44. Add Admin Multisig Signature
+app.post('/api/admin-transactions/:id/signatures', requireAdmin, async (req, res) => {
+    try {
+        const { signature } = req.body;
+
+        if (!signature || typeof signature !== 'string') {
+            return res.status(400).json({
+                error: 'signature is required and must be a serialized Sui signature (base64)'
+            });
+        }
+
+        const transaction = await addAdminSignature(req.params.id, signature);
+        res.json({ success: transaction.status !== 'failed', transaction });
+    } catch (error) {
+        console.error('Add admin signature error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/admin-transactions/:id/signatures'
+        });
+    }
+});
+
+// 45. Cancel Admin Multisig Transaction
+app.post('/api/admin-transactions/:id/cancel', requireAdmin, async (req, res) => {
+    try {
+        const transaction = await cancelAdminTransaction(req.params.id);
+        res.json({ success: true, transaction });
+    } catch (error) {
+        console.error('Cancel admin transaction error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/admin-transactions/:id/cancel'
+        });
+    }
+});
+
+// 46. Transfer SUI from the Treasury
+app.post('/api/transfer-sui', requireAdminToken, async (req, res) => {
+    try {
+        const { recipientAddress, amountMist, amountSui } = req.body;
+
+        if (!recipientAddress || !isValidSuiAddress(recipientAddress)) {
+            return res.status(400).json({
+                error: 'A valid recipientAddress is required in request body',
+                recipientAddress
+            });
+        }
+
+        const amount = parseTransferAmount({ amountMist, amountSui });
+        const result = await transferSui(recipientAddress, amount);
+        res.json(result);
+    } catch (error) {
+        console.error('Transfer SUI error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/transfer-sui'
+        });
+    }
+});
+
+// 47. Gas Station Settings and Today's Spend
+app.get('/api/gas-station', requireAdmin, async (req, res) => {
+    try {
+        const gasStation = await describeGasStation();
+        res.json({ success: true, ...gasStation });
+    } catch (error) {
+        console.error('Gas station error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/gas-station'
+        });
+    }
+});
+
+// 48. Top Up a Custodial Wallet from the Gas Station
+app.post('/api/gas-station/top-up', requireAdminToken, async (req, res) => {
+    try {
+        const { userId } = req.body;
+
+        if (!userId) {
+            return res.status(400).json({
+                error: 'userId is required in request body'
+            });
+        }
+
+        const result = await topUpUser(String(userId));
+        res.json(result);
+    } catch (error) {
+        console.error('Gas station top-up error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/gas-station/top-up'
+        });
+    }
+});
+
+// 49. Gas Station Top-up Ledger
+app.get('/api/gas-station/ledger', requireAdmin, async (req, res) => {
+    try {
+        const { userId, status } = req.query;
+        const limit = req.query.limit ? Number(req.query.limit) : 100;
+
+        if (!Number.isInteger(limit) || limit <= 0 || limit > 1000) {
+            return res.status(400).json({
+                error: 'limit must be an integer between 1 and 1000'
+            });
+        }
+
+        const topUps = await listTopUps({ userId, status, limit });
+        res.json({ success: true, topUps });
     } catch (error) {
-        console.error('Create wallet error:', error);
-        res.status(500).json({ 
+        console.error('Gas station ledger error:', error);
+        res.status(error.statusCode || 500).json({ 
             error: error.message,
-            endpoint: '/api/create-wallet'
+            endpoint: '/api/gas-station/ledger'
         });
     }
 });
 
 // 6. Create Supply
-app.post('/api/create-supply', async (req, res) => {
+app.post('/api/create-supply', requireAdmin, async (req, res) => {
     try {
         const { supplyLimit, tokenTypeName } = req.body;
         
@@ -377,6 +1709,9 @@ app.post('/api/create-supply', async (req, res) => {
         }
 
         const result = await createSupply(supplyLimit, tokenTypeName);
+        if (isPendingAdminTransaction(result)) {
+            return res.status(202).json(result);
+        }
         res.json({
             success: true,
             message: 'Supply created successfully',
@@ -392,7 +1727,7 @@ app.post('/api/create-supply', async (req, res) => {
 });
 
 // 8. Create Display
-app.post('/api/create-display', async (req, res) => {
+app.post('/api/create-display', requireAdmin, async (req, res) => {
     try {
         const { displayKeys, displayValues, braavVersion } = req.body;
         
@@ -422,17 +1757,10 @@ app.post('/api/create-display', async (req, res) => {
         }
         
         // Get environment variables
-        const mnemonic = process.env.MNEMONIC;
         const publisherId = process.env.PUBLISHER_ID;
         const packageId = process.env.PACKAGE_ID;
         const suiNetwork = process.env.SUI_NETWORK;
         
-        if (!mnemonic) {
-            return res.status(500).json({ 
-                error: 'MNEMONIC not configured in environment variables' 
-            });
-        }
-        
         if (!publisherId) {
             return res.status(500).json({ 
                 error: 'PUBLISHER_ID not configured in environment variables' 
@@ -458,7 +1786,7 @@ app.post('/api/create-display', async (req, res) => {
         });
         
         const result = await createDisplay(
-            mnemonic,
+            null, // the configured admin signer or multisig
             publisherId,
             packageId,
             suiNetwork,
@@ -466,6 +1794,9 @@ app.post('/api/create-display', async (req, res) => {
             displayValues,
             braavVersion
         );
+        if (isPendingAdminTransaction(result)) {
+            return res.status(202).json(result);
+        }
         
         console.log('✅ Display created successfully:', {
             nftDisplayId: result.nftDisplayId
@@ -497,7 +1828,7 @@ app.post('/api/create-display', async (req, res) => {
 });
 
 // 10. Create Restricted Display
-app.post('/api/create-restricted-display', async (req, res) => {
+app.post('/api/create-restricted-display', requireAdmin, async (req, res) => {
     try {
         const { displayKeys, displayValues, braavVersion } = req.body;
         
@@ -527,17 +1858,10 @@ app.post('/api/create-restricted-display', async (req, res) => {
         }
         
         // Get environment variables
-        const mnemonic = process.env.MNEMONIC;
         const publisherId = process.env.PUBLISHER_ID;
         const packageId = process.env.PACKAGE_ID;
         const suiNetwork = process.env.SUI_NETWORK;
         
-        if (!mnemonic) {
-            return res.status(500).json({ 
-                error: 'MNEMONIC not configured in environment variables' 
-            });
-        }
-        
         if (!publisherId) {
             return res.status(500).json({ 
                 error: 'PUBLISHER_ID not configured in environment variables' 
@@ -563,7 +1887,7 @@ app.post('/api/create-restricted-display', async (req, res) => {
         });
         
         const result = await createRestrictedDisplay(
-            mnemonic,
+            null, // the configured admin signer or multisig
             publisherId,
             packageId,
             suiNetwork,
@@ -571,6 +1895,9 @@ app.post('/api/create-restricted-display', async (req, res) => {
             displayValues,
             braavVersion
         );
+        if (isPendingAdminTransaction(result)) {
+            return res.status(202).json(result);
+        }
         
         console.log('✅ Restricted display created successfully:', {
             restrictedNftDisplayId: result.restrictedNftDisplayId
@@ -602,7 +1929,7 @@ app.post('/api/create-restricted-display', async (req, res) => {
 });
 
 // 9. Mint NFT
-app.post('/api/mint-nft', validateMintRequest, async (req, res) => {
+app.post('/api/mint-nft', requireAdmin, validateMintRequest, requireVettedRecipient(body => body.nftVersion || 'BRAAV16'), async (req, res) => {
     try {
         console.log('🚀 Received minting request:', {
             nftName: req.body.nftName,
@@ -612,12 +1939,17 @@ app.post('/api/mint-nft', validateMintRequest, async (req, res) => {
         });
 
         const result = await mintNFT(req.body);
+        if (isPendingAdminTransaction(result)) {
+            return res.status(202).json(result);
+        }
 
         console.log('✅ NFT minted successfully:', {
             transactionDigest: result.transactionDigest,
             nftObjectId: result.nftObjectId
         });
 
+        announceAdminOperation('nft.mint', result);
+
         res.json({
             success: true,
             message: 'NFT minted and transferred successfully',
@@ -645,7 +1977,7 @@ app.post('/api/mint-nft', validateMintRequest, async (req, res) => {
 });
 
 // 11. Mint Restricted NFT
-app.post('/api/mint-restricted-nft', validateRestrictedMintRequest, async (req, res) => {
+app.post('/api/mint-restricted-nft', requireAdmin, validateRestrictedMintRequest, requireVettedRecipient(body => body.braavVersion), async (req, res) => {
     try {
         console.log('🚀 Received restricted NFT minting request:', {
             nftName: req.body.nftName,
@@ -656,17 +1988,10 @@ app.post('/api/mint-restricted-nft', validateRestrictedMintRequest, async (req,
         });
 
         // Get environment variables
-        const mnemonic = process.env.MNEMONIC;
         const packageId = process.env.PACKAGE_ID;
         const creatorCapId = process.env.CREATOR_CAP_ID;
         const suiNetwork = process.env.SUI_NETWORK;
         
-        if (!mnemonic) {
-            return res.status(500).json({ 
-                error: 'MNEMONIC not configured in environment variables' 
-            });
-        }
-        
         if (!packageId) {
             return res.status(500).json({ 
                 error: 'PACKAGE_ID not configured in environment variables' 
@@ -686,7 +2011,7 @@ app.post('/api/mint-restricted-nft', validateRestrictedMintRequest, async (req,
         }
 
         const result = await mintRestrictedNFT(
-            mnemonic,
+            null, // the configured admin signer or multisig
             packageId,
             suiNetwork,
             req.body.supplyCapId,
@@ -698,12 +2023,17 @@ app.post('/api/mint-restricted-nft', validateRestrictedMintRequest, async (req,
             req.body.coinId,
             req.body.braavVersion
         );
+        if (isPendingAdminTransaction(result)) {
+            return res.status(202).json(result);
+        }
 
         console.log('✅ Restricted NFT minted successfully:', {
             transactionDigest: result.transactionDigest,
             restrictedNftObjectId: result.restrictedNftObjectId
         });
 
+        announceAdminOperation('restricted_nft.mint', result);
+
         res.json({
             success: true,
             message: 'Restricted NFT minted successfully',
@@ -731,6 +2061,173 @@ app.post('/api/mint-restricted-nft', validateRestrictedMintRequest, async (req,
     }
 });
 
+// 7. Edit NFT
+app.post('/api/edit-nft', requireAdmin, validateEditNFTRequest, async (req, res) => {
+    try {
+        console.log('🚀 Received NFT edit request:', {
+            nftObjectId: req.body.nftObjectId,
+            newName: req.body.newName,
+            newCoinId: req.body.newCoinId,
+            braavVersion: req.body.braavVersion,
+            timestamp: new Date().toISOString()
+        });
+
+        // Get environment variables
+        const packageId = process.env.PACKAGE_ID;
+        const creatorCapId = process.env.CREATOR_CAP_ID;
+        const suiNetwork = process.env.SUI_NETWORK;
+
+        if (!packageId || !creatorCapId || !suiNetwork) {
+            return res.status(500).json({ 
+                error: 'PACKAGE_ID, CREATOR_CAP_ID and SUI_NETWORK must be configured in environment variables' 
+            });
+        }
+
+        const result = await editNFT(
+            null, // the configured admin signer or multisig
+            packageId,
+            suiNetwork,
+            req.body.nftObjectId,
+            creatorCapId,
+            req.body.newName,
+            req.body.newCoinId,
+            req.body.braavVersion
+        );
+        if (isPendingAdminTransaction(result)) {
+            return res.status(202).json(result);
+        }
+
+        announceAdminOperation('nft.edit', result);
+
+        res.json({
+            success: true,
+            message: 'NFT updated successfully',
+            data: {
+                transactionDigest: result.transactionDigest,
+                nftObjectId: result.nftObjectId,
+                newName: result.newName,
+                newCoinId: result.newCoinId,
+                braavVersion: result.braavVersion,
+                gasUsed: result.gasUsed
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ NFT Edit Error:', error.message);
+        
+        res.status(500).json({
+            success: false,
+            message: 'Failed to edit NFT',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// 31. Create Webhook Subscription
+app.post('/api/webhooks', requireAdmin, async (req, res) => {
+    try {
+        const { url, events, secret } = req.body;
+
+        if (!url || !Array.isArray(events) || events.length === 0) {
+            return res.status(400).json({
+                error: 'url and a non-empty events array are required in request body',
+                availableEvents: WEBHOOK_EVENTS
+            });
+        }
+
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch {
+            parsedUrl = null;
+        }
+        if (!parsedUrl || (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:')) {
+            return res.status(400).json({
+                error: 'url must be an absolute http(s) URL',
+                url
+            });
+        }
+
+        if (typeof secret !== 'undefined' && (typeof secret !== 'string' || secret.length < 16)) {
+            return res.status(400).json({
+                error: 'secret must be a string of at least 16 characters'
+            });
+        }
+
+        const subscription = await createSubscription(url, events, secret);
+        res.status(201).json({
+            success: true,
+            subscription,
+            message: 'Store the secret now; it is not returned again'
+        });
+    } catch (error) {
+        console.error('Create webhook error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/webhooks'
+        });
+    }
+});
+
+// 32. List Webhook Subscriptions
+app.get('/api/webhooks', requireAdmin, async (req, res) => {
+    try {
+        const subscriptions = await listSubscriptions();
+        res.json({ success: true, count: subscriptions.length, subscriptions });
+    } catch (error) {
+        console.error('List webhooks error:', error);
+        res.status(500).json({ 
+            error: error.message,
+            endpoint: '/api/webhooks'
+        });
+    }
+});
+
+// 33. List Webhook Deliveries
+app.get('/api/webhooks/deliveries', requireAdmin, async (req, res) => {
+    try {
+        const { subscriptionId, status } = req.query;
+        const limit = req.query.limit ? Number(req.query.limit) : 100;
+
+        if (!Number.isInteger(limit) || limit <= 0 || limit > 1000) {
+            return res.status(400).json({
+                error: 'limit must be an integer between 1 and 1000'
+            });
+        }
+
+        if (status && !['pending', 'delivered', 'failed'].includes(status)) {
+            return res.status(400).json({
+                error: 'status must be one of pending, delivered, failed'
+            });
+        }
+
+        const deliveries = await listDeliveries({ subscriptionId, status, limit });
+        res.json({ success: true, count: deliveries.length, deliveries });
+    } catch (error) {
+        console.error('List webhook deliveries error:', error);
+        res.status(500).json({ 
+            error: error.message,
+            endpoint: '/api/webhooks/deliveries'
+        });
+    }
+});
+
+// 34. Delete Webhook Subscription
+app.delete('/api/webhooks/:id', requireAdmin, async (req, res) => {
+    try {
+        const result = await deleteSubscription(req.params.id);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(error.statusCode || 500).json({ 
+            error: error.message,
+            endpoint: '/api/webhooks/:id'
+        });
+    }
+});
+
 // Get all available endpoints
 app.get('/api/endpoints', (req, res) => {
     res.json({
@@ -743,14 +2240,107 @@ app.get('/api/endpoints', (req, res) => {
             {
                 method: 'POST',
                 path: '/api/approve-vetting',
-                description: 'Approve a vetting application',
-                body: { applicantAddress: 'string (required)' }
+                description: 'Approve a vetting application, optionally minting a badge in the same transaction (admin only)',
+                body: {
+                    applicantAddress: 'string (required)',
+                    mintBadge: 'boolean | string | object (optional) - true for the AUTO_MINT_BRAAV_VERSION badge, a BRAAV version from badge-configs.json, or { kind, braavVersion, supplyCapId, lineageId, counterId, nftName, coinId }',
+                    validityDays: 'number (optional, default: VETTING_APPROVAL_VALIDITY_DAYS or 365)',
+                    vettingTable: 'string (optional) - registered table name or object ID, default: VETTING_TABLE_ID'
+                }
+            },
+            {
+                method: 'POST',
+                path: '/api/reject-vetting',
+                description: 'Reject a vetting application (admin only)',
+                body: {
+                    applicantAddress: 'string (required)',
+                    vettingTable: 'string (optional) - registered table name or object ID, default: VETTING_TABLE_ID'
+                }
+            },
+            {
+                method: 'POST',
+                path: '/api/revoke-vetting',
+                description: 'Revoke a previously approved vetting application (admin only)',
+                body: {
+                    applicantAddress: 'string (required)',
+                    vettingTable: 'string (optional) - registered table name or object ID, default: VETTING_TABLE_ID'
+                }
+            },
+            {
+                method: 'POST',
+                path: '/api/batch-approve-vetting',
+                description: 'Approve many vetting applications, packed into chunked transactions (admin only)',
+                body: {
+                    applicantAddresses: 'array of strings (required)',
+                    chunkSize: 'number (optional, default: 100, max: 500)',
+                    validityDays: 'number (optional, default: VETTING_APPROVAL_VALIDITY_DAYS or 365)',
+                    mintBadge: 'boolean | string | object (optional) - as for /api/approve-vetting, minted to every approved address',
+                    vettingTable: 'string (optional) - registered table name or object ID, default: VETTING_TABLE_ID'
+                }
+            },
+            {
+                method: 'POST',
+                path: '/api/vetting-reviews',
+                description: 'Record a reviewer vote under the reviewer named by the bearer token; approve_vetting runs once the approval quorum is reached (reviewer token from REVIEWER_API_TOKENS)',
+                body: {
+                    applicantAddress: 'string (required)',
+                    vote: 'string (required) - "approve" or "deny"',
+                    comment: 'string (optional)',
+                    vettingTable: 'string (optional) - registered table name or object ID, default: VETTING_TABLE_ID'
+                }
+            },
+            {
+                method: 'GET',
+                path: '/api/vetting-reviews/:applicantAddress',
+                description: 'Get the vote history and outcome of an application review',
+                query: { vettingTable: 'string (optional) - registered table name or object ID, default: VETTING_TABLE_ID' }
+            },
+            {
+                method: 'POST',
+                path: '/api/vetting-reviews/:applicantAddress/reopen',
+                description: 'Reopen a review left executing by an interrupted on-chain decision (admin only)',
+                body: { vettingTable: 'string (optional) - registered table name or object ID, default: VETTING_TABLE_ID' }
+            },
+            {
+                method: 'GET',
+                path: '/api/vetting-expiry/due',
+                description: 'List approvals that have expired or expire within withinDays (admin only)',
+                query: { withinDays: 'number (optional, default: 0)' }
+            },
+            {
+                method: 'POST',
+                path: '/api/vetting-expiry/sweep',
+                description: 'Find expired approvals and optionally revoke them on-chain (admin only)',
+                body: { revoke: 'boolean (optional, default: false)' }
             },
             {
                 method: 'POST',
                 path: '/api/status-of-vetting',
-                description: 'Check vetting status of an address',
-                body: { applicantAddress: 'string (required)' }
+                description: 'Check vetting status of an address (not_applied, pending, approved, rejected, revoked or expired)',
+                body: {
+                    applicantAddress: 'string (required)',
+                    vettingTable: 'string (optional) - registered table name or object ID, default: VETTING_TABLE_ID'
+                }
+            },
+            {
+                method: 'POST',
+                path: '/api/bulk-status-of-vetting',
+                description: 'Check vetting status of many addresses in one inspected transaction',
+                body: {
+                    applicantAddresses: 'array of strings (required, max: 1000)',
+                    vettingTable: 'string (optional) - registered table name or object ID, default: VETTING_TABLE_ID'
+                }
+            },
+            {
+                method: 'GET',
+                path: '/api/vetting-applicants',
+                description: 'List applicants recorded in the VettingTable, with cursor-based paging',
+                query: {
+                    status: 'string (optional) - pending, approved, rejected, revoked or expired',
+                    cursor: 'string (optional) - nextCursor from the previous page',
+                    limit: 'number (optional, default: 50, max: 200)',
+                    vettingTable: 'string (optional) - registered table name or object ID, default: VETTING_TABLE_ID'
+                }
             },
             {
                 method: 'POST',
@@ -758,29 +2348,220 @@ app.get('/api/endpoints', (req, res) => {
                 description: 'Submit an address for vetting',
                 body: { 
                     walletCredentials: {
+                        userId: 'string (optional) - custodial user; the server signs with the stored key (admin token required)',
                         mnemonic: 'string (optional)',
-                        privateKey: 'string (optional)'
-                    }
+                        privateKey: 'string (optional) - suiprivkey1... or 64 hex characters',
+                        keyScheme: 'string (optional, default: ED25519) - ED25519, Secp256k1 or Secp256r1, for a mnemonic or hex privateKey'
+                    },
+                    sponsored: 'boolean (optional) - sponsor wallet (SPONSOR_PRIVATE_KEY) pays gas, requires walletCredentials',
+                    dossier: '{ applicantName, documents: [{ name, url }], notes } (optional)',
+                    vettingTable: 'string (optional) - registered table name or object ID, default: VETTING_TABLE_ID'
+                }
+            },
+            {
+                method: 'POST',
+                path: '/api/build-vetting-submission',
+                description: 'Build an unsigned submit_for_vetting transaction for the applicant to sign',
+                body: {
+                    senderAddress: 'string (required)',
+                    sponsored: 'boolean (optional) - sponsor wallet (SPONSOR_PRIVATE_KEY) pays gas; needs a session token for senderAddress or an admin token',
+                    vettingTable: 'string (optional) - registered table name or object ID, default: VETTING_TABLE_ID'
+                }
+            },
+            {
+                method: 'POST',
+                path: '/api/execute-vetting-submission',
+                description: 'Execute a vetting submission signed by the applicant wallet',
+                body: {
+                    transactionBytes: 'string (required) - base64 bytes from /api/build-vetting-submission',
+                    signature: 'string (required) - serialized Sui signature over transactionBytes',
+                    dossier: '{ applicantName, documents: [{ name, url }], notes } (optional)'
+                }
+            },
+            {
+                method: 'POST',
+                path: '/api/dossiers',
+                description: 'Create an off-chain application dossier',
+                body: {
+                    applicantAddress: 'string (required)',
+                    applicantName: 'string (optional)',
+                    documents: 'array of { name, url } (optional)',
+                    notes: 'string (optional)'
+                }
+            },
+            {
+                method: 'GET',
+                path: '/api/dossiers',
+                description: 'List all application dossiers'
+            },
+            {
+                method: 'GET',
+                path: '/api/dossiers/:applicantAddress',
+                description: 'Get the application dossier of an address'
+            },
+            {
+                method: 'PUT',
+                path: '/api/dossiers/:applicantAddress',
+                description: 'Update an application dossier',
+                body: {
+                    applicantName: 'string (optional)',
+                    documents: 'array of { name, url } (optional)',
+                    notes: 'string (optional)'
+                }
+            },
+            {
+                method: 'DELETE',
+                path: '/api/dossiers/:applicantAddress',
+                description: 'Delete an application dossier'
+            },
+            {
+                method: 'POST',
+                path: '/api/auth/challenge',
+                description: 'Request a sign-in challenge to sign as a Sui personal message',
+                body: { address: 'string (required)' }
+            },
+            {
+                method: 'POST',
+                path: '/api/auth/verify',
+                description: 'Verify the signed challenge and receive a session token',
+                body: {
+                    challengeId: 'string (required)',
+                    signature: 'string (required) - personal message signature over the challenge message'
                 }
             },
+            {
+                method: 'GET',
+                path: '/api/badges/:ownerAddress',
+                description: 'List NFT and RestrictedNFT badges owned by an address'
+            },
             {
                 method: 'POST',
                 path: '/api/initialize-vetting-table',
-                description: 'Initialize a new vetting table'
+                description: 'Initialize a new vetting table (admin only)',
+                body: { name: 'string (optional) - registers the new table under this name' }
+            },
+            {
+                method: 'POST',
+                path: '/api/vetting-tables',
+                description: 'Register an existing vetting table under a name (admin only)',
+                body: {
+                    name: 'string (required)',
+                    vettingTableId: 'string (required)'
+                }
+            },
+            {
+                method: 'GET',
+                path: '/api/vetting-tables',
+                description: 'List registered vetting tables and the env default (admin only)'
             },
             {
                 method: 'POST',
                 path: '/api/create-wallet',
-                description: 'Create a custodial wallet',
+                description: 'Create a custodial wallet; the key is kept in the encrypted keystore and only the address and public key are returned (admin only)',
                 body: { 
-                    userDetails: { id: 'string (required)', created_at: 'string', secret_key: 'string' },
-                    useStandardMnemonic: 'boolean (optional)'
+                    userDetails: { id: 'string (required)', created_at: 'string', secret_key: 'string - with created_at, derives a wallet /api/recover-wallet can re-derive' },
+                    useStandardMnemonic: 'boolean (optional) - random mnemonic even when created_at and secret_key are given',
+                    hdAccount: 'boolean (optional) - derive the wallet as an indexed account of HD_MASTER_MNEMONIC',
+                    wordCount: 'number (optional, default: 12) - 12 or 24 word BIP39 mnemonic',
+                    keyScheme: 'string (optional, default: ED25519) - ED25519, Secp256k1 or Secp256r1'
+                }
+            },
+            {
+                method: 'GET',
+                path: '/api/custodial-wallets/:userId',
+                description: 'Get the address, public key and status of a custodial wallet (admin only)'
+            },
+            {
+                method: 'POST',
+                path: '/api/custodial-wallets/:userId/export',
+                description: 'Export a custodial private key and mnemonic; needs an X-Key-Export-Token header (admin only)',
+                body: { reason: 'string (required) - recorded in the wallet export log' }
+            },
+            {
+                method: 'POST',
+                path: '/api/recover-wallet',
+                description: 'Re-derive a custodial wallet from its user details, confirm the address and report on-chain assets (admin only)',
+                body: {
+                    userDetails: { id: 'string (required)', created_at: 'string (required)', secret_key: 'string (required)' },
+                    expectedAddress: 'string (optional) - required when the wallet is not in the keystore',
+                    wordCount: 'number (optional) - 12 or 24; both are tried when omitted',
+                    keyScheme: 'string (optional) - ED25519, Secp256k1 or Secp256r1; the stored scheme, or every scheme, is tried when omitted'
+                }
+            },
+            {
+                method: 'POST',
+                path: '/api/custodial-wallets/:userId/rotate',
+                description: 'Move a custodial user to a new key, migrating SUI and transferable NFTs; the old key is retired (always needs an admin token)'
+            },
+            {
+                method: 'GET',
+                path: '/api/admin-transactions',
+                description: 'List admin transactions waiting for (or finished collecting) multisig signatures, with the multisig configuration (admin only)',
+                query: {
+                    status: 'string (optional) - pending, executing, executed, failed, cancelled, stale or unknown',
+                    limit: 'number (optional, default: 100, max: 1000)'
+                }
+            },
+            {
+                method: 'GET',
+                path: '/api/admin-transactions/:id',
+                description: 'Get one admin multisig transaction, including the transaction bytes members sign (admin only)'
+            },
+            {
+                method: 'POST',
+                path: '/api/admin-transactions/:id/signatures',
+                description: 'Add a member signature; the transaction executes once the multisig threshold is met (admin only)',
+                body: { signature: 'string (required) - serialized Sui signature over transactionBytes' }
+            },
+            {
+                method: 'POST',
+                path: '/api/admin-transactions/:id/cancel',
+                description: 'Cancel a pending or unknown admin multisig transaction; an interrupted executing one is looked up first (admin only)'
+            },
+            {
+                method: 'POST',
+                path: '/api/transfer-sui',
+                description: 'Send SUI from the treasury wallet after checking its balance; returns the digest and balance changes (always needs an admin token)',
+                body: {
+                    recipientAddress: 'string (required)',
+                    amountMist: 'string or number (one of amountMist/amountSui) - whole MIST',
+                    amountSui: 'string or number (one of amountMist/amountSui) - up to 9 decimals'
+                }
+            },
+            {
+                method: 'GET',
+                path: '/api/gas-station',
+                description: 'Gas station thresholds, caps, treasury address and today\'s spend (admin only)'
+            },
+            {
+                method: 'POST',
+                path: '/api/gas-station/top-up',
+                description: 'Top a custodial wallet up to the target balance if it is below the minimum (always needs an admin token)',
+                body: { userId: 'string (required)' }
+            },
+            {
+                method: 'GET',
+                path: '/api/gas-station/ledger',
+                description: 'List gas station top-ups, newest first (admin only)',
+                query: {
+                    userId: 'string (optional)',
+                    status: 'string (optional) - pending, completed, failed or unknown',
+                    limit: 'number (optional, default: 100, max: 1000)'
+                }
+            },
+            {
+                method: 'GET',
+                path: '/api/hd-accounts',
+                description: 'List HD sub-accounts with their index, derivation path and re-derived address (admin only)',
+                query: {
+                    offset: 'number (optional, default: 0)',
+                    limit: 'number (optional, default: 100, max: 1000)'
                 }
             },
             {
                 method: 'POST',
                 path: '/api/create-supply',
-                description: 'Create a new supply for a token type',
+                description: 'Create a new supply for a token type (admin only)',
                 body: { 
                     supplyLimit: 'number (required)',
                     tokenTypeName: 'string (required)'
@@ -789,7 +2570,7 @@ app.get('/api/endpoints', (req, res) => {
             {
                 method: 'POST',
                 path: '/api/mint-nft',
-                description: 'Mint and transfer NFT to recipient',
+                description: 'Mint and transfer NFT to recipient (admin only)',
                 body: { 
                     packageId: 'string (required)',
                     supplyCapId: 'string (required)',
@@ -798,13 +2579,14 @@ app.get('/api/endpoints', (req, res) => {
                     recipientAddress: 'string (required)',
                     nftName: 'string (required)',
                     badgeCoinId: 'string (required)',
-                    nftVersion: 'string (optional, default: BRAAV16)'
+                    nftVersion: 'string (optional, default: BRAAV16)',
+                    vettingTable: 'string (optional) - table the recipient must be approved in when the version is vetting-gated'
                 }
             },
             {
                 method: 'POST',
                 path: '/api/create-display',
-                description: 'Create display metadata for NFT type',
+                description: 'Create display metadata for NFT type (admin only)',
                 body: { 
                     displayKeys: 'array of strings (required) - e.g., ["name", "image_url", "description", "project_url", "coin_story", "video_url"]',
                     displayValues: 'array of strings (required) - corresponding values for the keys',
@@ -814,7 +2596,7 @@ app.get('/api/endpoints', (req, res) => {
             {
                 method: 'POST',
                 path: '/api/create-restricted-display',
-                description: 'Create restricted display metadata for RestrictedNFT type',
+                description: 'Create restricted display metadata for RestrictedNFT type (admin only)',
                 body: { 
                     displayKeys: 'array of strings (required) - e.g., ["name", "image_url", "description", "project_url", "coin_story", "video_url"]',
                     displayValues: 'array of strings (required) - corresponding values for the keys',
@@ -824,7 +2606,7 @@ app.get('/api/endpoints', (req, res) => {
             {
                 method: 'POST',
                 path: '/api/mint-restricted-nft',
-                description: 'Mint a restricted NFT (non-transferable by users)',
+                description: 'Mint a restricted NFT (non-transferable by users) (admin only)',
                 body: { 
                     supplyCapId: 'string (required)',
                     lineageId: 'string (required)',
@@ -832,13 +2614,14 @@ app.get('/api/endpoints', (req, res) => {
                     recipientAddress: 'string (required)',
                     nftName: 'string (required)',
                     coinId: 'string (required)',
-                    braavVersion: 'string (required) - e.g., "BRAAV3", "BRAAV16", "BRAAV17"'
+                    braavVersion: 'string (required) - e.g., "BRAAV3", "BRAAV16", "BRAAV17"',
+                    vettingTable: 'string (optional) - table the recipient must be approved in when the version is vetting-gated'
                 }
             },
             {
                 method: 'POST',
                 path: '/api/edit-nft',
-                description: 'Edit an existing NFT (update name and coin ID)',
+                description: 'Edit an existing NFT (update name and coin ID) (admin only)',
                 body: { 
                     nftObjectId: 'string (required) - Object ID of the NFT to edit',
                     newName: 'string (required) - New name for the NFT',
@@ -846,6 +2629,36 @@ app.get('/api/endpoints', (req, res) => {
                     braavVersion: 'string (required) - e.g., "BRAAV3", "BRAAV16", "BRAAV17"'
                 }
             },
+            {
+                method: 'POST',
+                path: '/api/webhooks',
+                description: 'Subscribe a URL to vetting and minting events (admin only); deliveries are HMAC-signed',
+                body: {
+                    url: 'string (required) - http(s) URL that receives POSTed events',
+                    events: `array (required) - any of ${WEBHOOK_EVENTS.join(', ')}, or "*" for all`,
+                    secret: 'string (optional, min 16 chars) - signing secret; generated and returned once if omitted'
+                }
+            },
+            {
+                method: 'GET',
+                path: '/api/webhooks',
+                description: 'List webhook subscriptions without their secrets (admin only)'
+            },
+            {
+                method: 'GET',
+                path: '/api/webhooks/deliveries',
+                description: 'Webhook delivery log, newest first (admin only)',
+                query: {
+                    subscriptionId: 'string (optional)',
+                    status: 'string (optional) - pending, delivered or failed',
+                    limit: 'number (optional, default 100, max 1000)'
+                }
+            },
+            {
+                method: 'DELETE',
+                path: '/api/webhooks/:id',
+                description: 'Remove a webhook subscription (admin only)'
+            },
             {
                 method: 'GET',
                 path: '/api/endpoints',
@@ -873,11 +2686,24 @@ app.use((req, res) => {
 });
 
 // Start server
+// With auth on, privileged routes only answer to ADMIN_API_TOKENS; starting without any would
+// leave them unusable, so refuse to start instead of waiting for someone to notice
+if (isAuthRequired() && !hasAdminTokens()) {
+    console.error('❌ ADMIN_API_TOKENS is not set. Configure admin tokens, or set REQUIRE_AUTH=false to run without authentication (development only)');
+    process.exit(1);
+}
+
 app.listen(PORT, () => {
+    scheduleExpirySweep();
+    startVettingEventWatcher();
+    resumePendingDeliveries().catch((error) => console.error('Webhook resume error:', error.message));
     console.log(`🚀 Sui Vetting API Server running on port ${PORT}`);
     console.log(`📋 Health check: http://localhost:${PORT}/health`);
     console.log(`📚 Available endpoints: http://localhost:${PORT}/api/endpoints`);
     console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+    if (!isAuthRequired()) {
+        console.warn('⚠️  REQUIRE_AUTH=false: admin routes and applicant data are open to any caller');
+    }
 });
 
 export default app;
\ No newline at end of file
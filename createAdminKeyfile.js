@@ -0,0 +1,38 @@
+import { promises as fs } from 'fs';
+import * as dotenv from 'dotenv';
+import { encryptKeyfile } from './lib/adminSigner.js';
+import { deriveKeypair, keypairFromSuiPrivateKey } from './lib/keypairs.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Writes the admin key to ADMIN_KEYFILE, encrypted with ADMIN_KEYFILE_PASSPHRASE.
+// The key comes from ADMIN_PRIVATE_KEY ("suiprivkey1...") or, failing that, MNEMONIC derived for KEY_SCHEME.
+async function createAdminKeyfile() {
+  const keyfilePath = process.env.ADMIN_KEYFILE;
+  const passphrase = process.env.ADMIN_KEYFILE_PASSPHRASE;
+  if (!keyfilePath || !passphrase) {
+    throw new Error('ADMIN_KEYFILE and ADMIN_KEYFILE_PASSPHRASE must be set');
+  }
+
+  let keypair;
+  if (process.env.ADMIN_PRIVATE_KEY) {
+    keypair = keypairFromSuiPrivateKey(process.env.ADMIN_PRIVATE_KEY);
+  } else if (process.env.MNEMONIC) {
+    keypair = deriveKeypair(process.env.MNEMONIC, process.env.KEY_SCHEME || 'ED25519');
+  } else {
+    throw new Error('Set ADMIN_PRIVATE_KEY or MNEMONIC to the key that should go in the keyfile');
+  }
+
+  const keyfile = encryptKeyfile(keypair.getSecretKey(), passphrase);
+  await fs.writeFile(keyfilePath, JSON.stringify(keyfile, null, 2), { mode: 0o600, flag: 'wx' });
+
+  console.log('✅ Admin keyfile written to', keyfilePath);
+  console.log('  Address:', keypair.toSuiAddress());
+  console.log('  Remove MNEMONIC / ADMIN_PRIVATE_KEY from .env and set ADMIN_SIGNER=keyfile');
+}
+
+createAdminKeyfile().catch((error) => {
+  console.error('❌ Failed to create admin keyfile:', error.message);
+  process.exit(1);
+});
@@ -1,40 +1,66 @@
 import crypto from 'crypto';
-import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519';
-import { fromHex } from '@mysten/sui/utils';
+import { fileURLToPath } from 'url';
+import { entropyToMnemonic, generateMnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+import { decodeSuiPrivateKey } from '@mysten/sui/cryptography';
 import { Buffer } from 'buffer';
+import { deriveKeypair, derivationPathFor, normalizeKeyScheme } from './lib/keypairs.js';
 
-export async function createCustodialWallet(userDetails) {
+// Standard Sui derivation path, so the returned mnemonic restores the same address in Sui Wallet.
+// Secp256k1 and Secp256r1 wallets use their own standard paths (see derivationPathFor).
+export const SUI_DERIVATION_PATH = "m/44'/784'/0'/0'/0'";
+
+// 12 words come from 128 bits of entropy, 24 words from 256 bits
+const ENTROPY_BYTES = { 12: 16, 24: 32 };
+
+export function isSupportedWordCount(wordCount) {
+  return Object.hasOwn(ENTROPY_BYTES, wordCount);
+}
+
+// Create a more robust seed using HMAC instead of simple concatenation
+export function deriveWalletSeed(userDetails) {
+  const walletSecret = process.env.WALLET_SECRET || 'default_secret_change_in_production';
+  const seedData = `${userDetails.id}:${userDetails.created_at}:${userDetails.secret_key}`;
+
+  return crypto
+    .createHmac('sha256', walletSecret)
+    .update(seedData)
+    .digest();
+}
+
+function resolveKeyScheme(keyScheme) {
+  const scheme = normalizeKeyScheme(keyScheme);
+  if (!scheme) {
+    const error = new Error(`Unsupported key scheme: ${keyScheme}. Use ED25519, Secp256k1 or Secp256r1.`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return scheme;
+}
+
+export async function createCustodialWallet(userDetails, { wordCount = 12, keyScheme = 'ED25519' } = {}) {
   try {
-    const userID = userDetails.id;
-    const createdAt = userDetails.created_at;
-    const userSecret = userDetails.secret_key;
+    if (!isSupportedWordCount(wordCount)) {
+      throw new Error(`Unsupported mnemonic length: ${wordCount}. Use 12 or 24 words.`);
+    }
+    const scheme = resolveKeyScheme(keyScheme);
+    const derivationPath = derivationPathFor(scheme);
 
-    // Create a more robust seed using HMAC instead of simple concatenation
-    const walletSecret = process.env.WALLET_SECRET || 'default_secret_change_in_production';
-    const seedData = `${userID}:${createdAt}:${userSecret}`;
-    
-    const seed = crypto
-      .createHmac('sha256', walletSecret)
-      .update(seedData)
-      .digest();
+    const seed = deriveWalletSeed(userDetails);
 
-    // Ensure the seed is exactly 32 bytes for Ed25519
-    const privateKeyBytes = seed.slice(0, 32);
-    
-    // Create keypair from the 32-byte seed
-    const keypair = Ed25519Keypair.fromSecretKey(privateKeyBytes);
+    // The HMAC seed is the BIP39 entropy, so the same user details always give the same mnemonic
+    const entropy = seed.subarray(0, ENTROPY_BYTES[wordCount]);
+    const mnemonic = entropyToMnemonic(entropy, wordlist);
+    const keypair = deriveKeypair(mnemonic, scheme, derivationPath);
     
     // Get private key in different formats
-    const secretKeyArray = keypair.getSecretKey();
+    const { secretKey: privateKeyBytes } = decodeSuiPrivateKey(keypair.getSecretKey());
     const privateKeyHex = Buffer.from(privateKeyBytes).toString('hex');
     const privateKeyBase64 = Buffer.from(privateKeyBytes).toString('base64');
     
     // Get public key and address
     const publicKey = keypair.getPublicKey();
     const address = publicKey.toSuiAddress();
-    
-    // Generate mnemonic-like representation (12 words from the seed)
-    const mnemonic = generateMnemonicFromSeed(privateKeyBytes);
 
     return {
       address,
@@ -42,8 +68,10 @@ export async function createCustodialWallet(userDetails) {
       privateKey: privateKeyHex,
       privateKeyBase64,
       mnemonic,
+      keyScheme: scheme,
+      derivationPath,
       // Additional info for debugging
-      seedHex: Buffer.from(seed.slice(0, 32)).toString('hex')
+      seedHex: Buffer.from(entropy).toString('hex')
     };
   } catch (err) {
     console.error('Wallet creation error:', err);
@@ -51,65 +79,63 @@ export async function createCustodialWallet(userDetails) {
   }
 }
 
-// Helper function to generate a mnemonic-like representation
-function generateMnemonicFromSeed(seed) {
-  // Simple word list (in production, use BIP39 wordlist)
-  const words = [
-    'abandon', 'ability', 'able', 'about', 'above', 'absent', 'absorb', 'abstract',
-    'absurd', 'abuse', 'access', 'accident', 'account', 'accuse', 'achieve', 'acid',
-    'acoustic', 'acquire', 'across', 'act', 'action', 'actor', 'actress', 'actual',
-    'adapt', 'add', 'addict', 'address', 'adjust', 'admit', 'adult', 'advance',
-    'advice', 'aerobic', 'affair', 'afford', 'afraid', 'again', 'against', 'agent',
-    'agree', 'ahead', 'aim', 'air', 'airport', 'aisle', 'alarm', 'album',
-    'alcohol', 'alert', 'alien', 'all', 'alley', 'allow', 'almost', 'alone',
-    'alpha', 'already', 'also', 'alter', 'always', 'amateur', 'amazing', 'among',
-    'amount', 'amused', 'analyst', 'anchor', 'ancient', 'anger', 'angle', 'angry',
-    'animal', 'ankle', 'announce', 'annual', 'another', 'answer', 'antenna', 'antique',
-    'anxiety', 'any', 'apart', 'apology', 'appear', 'apple', 'approve', 'april',
-    'arcade', 'arch', 'arctic', 'area', 'arena', 'argue', 'arm', 'armed',
-    'armor', 'army', 'around', 'arrange', 'arrest', 'arrive', 'arrow', 'art',
-    'article', 'artist', 'artwork', 'ask', 'aspect', 'assault', 'asset', 'assist',
-    'assume', 'asthma', 'athlete', 'atom', 'attack', 'attend', 'attitude', 'attract',
-    'auction', 'audit', 'august', 'aunt', 'author', 'auto', 'autumn', 'average',
-    'avocado', 'avoid', 'awake', 'aware', 'away', 'awesome', 'awful', 'awkward'
-  ];
-
-  const mnemonicWords = [];
-  for (let i = 0; i < 12; i++) {
-    const index = seed[i * 2] % words.length;
-    mnemonicWords.push(words[index]);
+// HD mode: user wallets are indexed accounts of one master mnemonic (HD_MASTER_MNEMONIC),
+// so every wallet can be re-derived from the master and its index
+export function hdDerivationPath(index, keyScheme = 'ED25519') {
+  return derivationPathFor(keyScheme, index);
+}
+
+export async function createHdCustodialWallet(index, { keyScheme = 'ED25519' } = {}) {
+  const masterMnemonic = process.env.HD_MASTER_MNEMONIC;
+  if (!masterMnemonic) {
+    throw new Error('HD_MASTER_MNEMONIC not set in .env');
   }
-  
-  return mnemonicWords.join(' ');
+  if (!Number.isInteger(index) || index < 0 || index >= 2 ** 31) {
+    throw new Error(`Invalid HD account index: ${index}`);
+  }
+
+  const scheme = resolveKeyScheme(keyScheme);
+  const derivationPath = hdDerivationPath(index, scheme);
+  const keypair = deriveKeypair(masterMnemonic, scheme, derivationPath);
+  const { secretKey: privateKeyBytes } = decodeSuiPrivateKey(keypair.getSecretKey());
+  const publicKey = keypair.getPublicKey();
+
+  return {
+    address: publicKey.toSuiAddress(),
+    publicKey: publicKey.toBase64(),
+    privateKey: Buffer.from(privateKeyBytes).toString('hex'),
+    privateKeyBase64: Buffer.from(privateKeyBytes).toString('base64'),
+    // The master mnemonic is never handed out per user
+    mnemonic: null,
+    keyScheme: scheme,
+    derivationPath,
+    accountIndex: index
+  };
 }
 
 // Alternative function using standard mnemonic generation
-export async function createCustodialWalletWithStandardMnemonic(userDetails) {
+export async function createCustodialWalletWithStandardMnemonic(userDetails, { wordCount = 12, keyScheme = 'ED25519' } = {}) {
   try {
-    // Generate a standard Ed25519 keypair first
-    const keypair = new Ed25519Keypair();
+    if (!isSupportedWordCount(wordCount)) {
+      throw new Error(`Unsupported mnemonic length: ${wordCount}. Use 12 or 24 words.`);
+    }
+    const scheme = resolveKeyScheme(keyScheme);
+    const derivationPath = derivationPathFor(scheme);
+
+    // Random BIP39 mnemonic; the keypair is derived from it so the phrase restores this wallet
+    const mnemonic = generateMnemonic(wordlist, ENTROPY_BYTES[wordCount] * 8);
+    const keypair = deriveKeypair(mnemonic, scheme, derivationPath);
     
     // Get private key and address
-    const secretKeyArray = keypair.getSecretKey();
+    const { secretKey: secretKeyArray } = decodeSuiPrivateKey(keypair.getSecretKey());
     const privateKeyHex = Buffer.from(secretKeyArray).toString('hex');
     const privateKeyBase64 = Buffer.from(secretKeyArray).toString('base64');
     const publicKey = keypair.getPublicKey();
     const address = publicKey.toSuiAddress();
     
-    // For a truly random wallet, you'd typically use a BIP39 library
-    // But for demonstration, we'll generate deterministic words
     const userID = userDetails.id;
     const createdAt = userDetails.created_at;
     const userSecret = userDetails.secret_key;
-    const walletSecret = process.env.WALLET_SECRET || 'default_secret_change_in_production';
-    
-    const seedData = `${userID}:${createdAt}:${userSecret}`;
-    const deterministicSeed = crypto
-      .createHmac('sha256', walletSecret)
-      .update(seedData)
-      .digest();
-    
-    const mnemonic = generateMnemonicFromSeed(deterministicSeed);
 
     return {
       address,
@@ -117,6 +143,8 @@ export async function createCustodialWalletWithStandardMnemonic(userDetails) {
       privateKey: privateKeyHex,
       privateKeyBase64,
       mnemonic,
+      keyScheme: scheme,
+      derivationPath,
       // Store user mapping for deterministic recreation
       userMapping: {
         userId: userID,
@@ -130,25 +158,27 @@ export async function createCustodialWalletWithStandardMnemonic(userDetails) {
   }
 }
 
-// Test both approaches
-const testUser = {
-  id: 'user123',
-  created_at: new Date().toISOString(),
-  secret_key: crypto.randomBytes(32).toString('hex'),
-};
-
-console.log('=== Deterministic Custodial Wallet ===');
-createCustodialWallet(testUser).then(result => {
-  console.log('Address:', result.address);
-  console.log('Private Key:', result.privateKey);
-  console.log('Mnemonic:', result.mnemonic);
-  console.log('Public Key:', result.publicKey);
-}).catch(console.error);
-
-console.log('\n=== Standard Approach (for comparison) ===');
-createCustodialWalletWithStandardMnemonic(testUser).then(result => {
-  console.log('Address:', result.address);
-  console.log('Private Key:', result.privateKey);
-  console.log('Mnemonic:', result.mnemonic);
-  console.log('Public Key:', result.publicKey);
-}).catch(console.error);
\ No newline at end of file
+// Test both approaches when run directly (node createCustodialWallet.js), not when imported
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const testUser = {
+    id: 'user123',
+    created_at: new Date().toISOString(),
+    secret_key: crypto.randomBytes(32).toString('hex'),
+  };
+
+  console.log('=== Deterministic Custodial Wallet ===');
+  createCustodialWallet(testUser).then(result => {
+    console.log('Address:', result.address);
+    console.log('Private Key:', result.privateKey);
+    console.log('Mnemonic:', result.mnemonic);
+    console.log('Public Key:', result.publicKey);
+  }).catch(console.error);
+
+  console.log('\n=== Standard Approach (for comparison) ===');
+  createCustodialWalletWithStandardMnemonic(testUser).then(result => {
+    console.log('Address:', result.address);
+    console.log('Private Key:', result.privateKey);
+    console.log('Mnemonic:', result.mnemonic);
+    console.log('Public Key:', result.publicKey);
+  }).catch(console.error);
+}
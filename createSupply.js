@@ -1,11 +1,10 @@
 import { SuiClient } from '@mysten/sui/client';
-import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519';
 import { Transaction } from '@mysten/sui/transactions';
 import * as dotenv from 'dotenv';
+import { executeAdminTransaction, getAdminAddress, registerAdminOperation } from './lib/adminTransactions.js';
 
 dotenv.config();
 
-const mnemonic = process.env.MNEMONIC || '';
 const packageId = process.env.PACKAGE_ID || '';
 const suiNetwork = process.env.SUI_NETWORK || '';
 const creatorCapId = process.env.CREATOR_CAP_ID || '';
@@ -27,25 +26,65 @@ async function fetchWithRetry(client, objectId, retries = 10, delayMs = 2000) {
     throw new Error(`Object ${objectId} not found after ${retries} retries`);
 }
 
+async function finalizeSupply(result, { adminAddress }) {
+    console.log('Full Transaction Result:', JSON.stringify(result, null, 2));
+
+    // Check if the transaction was successful before proceeding
+    if (result.effects?.status?.status !== 'success') {
+        throw new Error(`Sui transaction failed: ${result.effects?.status?.error || 'Unknown error'}`);
+    }
+
+    const createdBraav = result.objectChanges?.find(
+        (change) => change.type === 'created' && change.objectType.includes('::braav_public::BRAAV')
+    );
+
+    const createdLineage = result.objectChanges?.find(
+        (change) => change.type === 'created' && change.objectType.includes('::braav_public::Lineage')
+    );
+
+    const createdCounter = result.objectChanges?.find(
+        (change) => change.type === 'created' && change.owner.AddressOwner === adminAddress && change.objectType.includes('::counter::Counter')
+    );
+
+    // Fetch CounterId from BRAAV object to verify
+    let counterId = 'Not found';
+    if (createdBraav?.objectId) {
+        const braavObject = await fetchWithRetry(new SuiClient({ url: suiNetwork }), createdBraav.objectId);
+        const content = braavObject.data?.content;
+        if (content?.dataType === 'moveObject' && content.fields?.counter) {
+            counterId = content.fields.counter;
+        }
+    }
+
+    console.log({
+        SupplyCapId: createdBraav?.objectId ?? 'Not found',
+        LineageObjectId: createdLineage?.objectId ?? 'Not found',
+        CounterId: createdCounter?.objectId ?? counterId,
+    });
+
+    return result;
+}
+
+registerAdminOperation('supply.create', finalizeSupply);
+
 export async function createSupply(limit, tokenTypeName) {
     // Build the full type argument from the tokenTypeName
     const braavTypeArg = `${packageId}::xoa::${tokenTypeName}`;
     const braavNumber = braavTypeArg.match(/BRAAV\d+/)?.[0] || 'Unknown BRAAV';
 
     try {
-        if (!mnemonic) throw new Error('MNEMONIC not set');
         if (!packageId) throw new Error('PACKAGE_ID not set');
         if (!suiNetwork) throw new Error('SUI_NETWORK not set');
         if (!creatorCapId) throw new Error('CREATOR_CAP_ID not set');
 
-        const keypair = Ed25519Keypair.deriveKeypair(mnemonic);
+        const adminAddress = await getAdminAddress();
         const client = new SuiClient({ url: suiNetwork });
 
         const braavType = `${packageId}::braav_public::BRAAV<${braavTypeArg}>`;
 
         // Check for existing BRAAV objects
         const objects = await client.getOwnedObjects({
-            owner: keypair.toSuiAddress(),
+            owner: adminAddress,
             filter: { StructType: braavType },
             options: { showType: true },
         });
@@ -64,12 +103,12 @@ export async function createSupply(limit, tokenTypeName) {
             typeArguments: [braavTypeArg],
         });
 
-        tx.transferObjects([braavObj], keypair.toSuiAddress());
+        tx.transferObjects([braavObj], adminAddress);
         tx.setGasBudget(10000000);
 
-        const result = await client.signAndExecuteTransaction({
-            signer: keypair,
-            transaction: tx,
+        return await executeAdminTransaction(tx, {
+            operation: 'supply.create',
+            params: { adminAddress },
             options: {
                 showObjectChanges: true,
                 showEffects: true,
@@ -77,44 +116,9 @@ export async function createSupply(limit, tokenTypeName) {
                 showBalanceChanges: true,
                 showInput: true,
             },
+            client,
+            dedupeKey: `supply.create:${braavTypeArg}`,
         });
-
-        console.log('Full Transaction Result:', JSON.stringify(result, null, 2));
-
-        // Check if the transaction was successful before proceeding
-        if (result.effects?.status?.status !== 'success') {
-            throw new Error(`Sui transaction failed: ${result.effects?.status?.error || 'Unknown error'}`);
-        }
-
-        const createdBraav = result.objectChanges?.find(
-            (change) => change.type === 'created' && change.objectType.includes('::braav_public::BRAAV')
-        );
-
-        const createdLineage = result.objectChanges?.find(
-            (change) => change.type === 'created' && change.objectType.includes('::braav_public::Lineage')
-        );
-
-        const createdCounter = result.objectChanges?.find(
-            (change) => change.type === 'created' && change.owner.AddressOwner === keypair.toSuiAddress() && change.objectType.includes('::counter::Counter')
-        );
-
-        // Fetch CounterId from BRAAV object to verify
-        let counterId = 'Not found';
-        if (createdBraav?.objectId) {
-            const braavObject = await fetchWithRetry(client, createdBraav.objectId);
-            const content = braavObject.data?.content;
-            if (content?.dataType === 'moveObject' && content.fields?.counter) {
-                counterId = content.fields.counter;
-            }
-        }
-
-        console.log({
-            SupplyCapId: createdBraav?.objectId ?? 'Not found',
-            LineageObjectId: createdLineage?.objectId ?? 'Not found',
-            CounterId: createdCounter?.objectId ?? counterId,
-        });
-
-        return result;
     } catch (error) {
         console.error(`Error creating ${braavNumber} supply:`, error.message);
         throw error;
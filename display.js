@@ -1,13 +1,34 @@
 import { Transaction } from "@mysten/sui/transactions";
 import { SuiClient } from "@mysten/sui/client";
 import { bcs } from "@mysten/sui/bcs";
-import { Ed25519Keypair } from "@mysten/sui/keypairs/ed25519";
+import { executeAdminTransaction, getAdminAddress, registerAdminOperation } from "./lib/adminTransactions.js";
 
 const GAS_BUDGET = 60000000;
 
-export async function createDisplay(mnemonic, publisherId, packageId, suiNetwork, displayKeys, displayValues, braavVersion) {
+async function finalizeDisplay(result) {
+  if (result.effects?.status.status !== "success") {
+    throw new Error(`Transaction failed: ${result.effects?.status.error || JSON.stringify(result, null, 2)}`);
+  }
+
+  const objectChanges = result.objectChanges?.filter(
+    (change) => change.type === "created" && change.objectType.includes("0x2::display::Display")
+  );
+
+  const nftDisplayId = objectChanges?.find(change => change.objectType.includes("::braav_public::NFT"))?.objectId;
+
+  if (!nftDisplayId) {
+    throw new Error("Failed to retrieve NFT Display object ID");
+  }
+
+  console.log({ nftDisplayId });
+
+  return { nftDisplayId };
+}
+
+registerAdminOperation("display.create", finalizeDisplay);
+
+export async function createDisplay(signer, publisherId, packageId, suiNetwork, displayKeys, displayValues, braavVersion) {
   try {
-    if (!mnemonic) throw new Error("MNEMONIC not set");
     if (!publisherId) throw new Error("PUBLISHER_ID not set");
     if (!packageId) throw new Error("PACKAGE_ID not set");
     if (!suiNetwork) throw new Error("SUI_NETWORK not set");
@@ -17,8 +38,7 @@ export async function createDisplay(mnemonic, publisherId, packageId, suiNetwork
     if (!braavVersion) throw new Error("braavVersion is required");
 
     const client = new SuiClient({ url: suiNetwork });
-    const keypair = Ed25519Keypair.deriveKeypair(mnemonic);
-    const signerAddress = keypair.toSuiAddress();
+    const signerAddress = await getAdminAddress(signer);
 
     const publisherObj = await client.getObject({
       id: publisherId,
@@ -51,34 +71,17 @@ export async function createDisplay(mnemonic, publisherId, packageId, suiNetwork
     tx.transferObjects([nftDisplay], signerAddress);
     tx.setGasBudget(GAS_BUDGET);
 
-    const result = await client.signAndExecuteTransaction({
-      transaction: tx,
-      signer: keypair,
+    return await executeAdminTransaction(tx, {
+      operation: "display.create",
       options: {
         showObjectChanges: true,
         showEffects: true,
         showEvents: true,
         showInput: true,
       },
+      signer,
+      client,
     });
-
-    if (result.effects?.status.status !== "success") {
-      throw new Error(`Transaction failed: ${result.effects?.status.error || JSON.stringify(result, null, 2)}`);
-    }
-
-    const objectChanges = result.objectChanges?.filter(
-      (change) => change.type === "created" && change.objectType.includes("0x2::display::Display")
-    );
-
-    const nftDisplayId = objectChanges?.find(change => change.objectType.includes("::braav_public::NFT"))?.objectId;
-
-    if (!nftDisplayId) {
-      throw new Error("Failed to retrieve NFT Display object ID");
-    }
-
-    console.log({ nftDisplayId });
-
-    return { nftDisplayId };
   } catch (error) {
     console.error("Error creating display:", error.message);
     throw error;
@@ -1,13 +1,33 @@
 import { Transaction } from "@mysten/sui/transactions";
 import { SuiClient } from "@mysten/sui/client";
-import { Ed25519Keypair } from "@mysten/sui/keypairs/ed25519";
 import { isValidSuiAddress } from "@mysten/sui/utils";
+import { executeAdminTransaction, registerAdminOperation } from "./lib/adminTransactions.js";
 
 const GAS_BUDGET = 10000000;
 
-export async function editNFT(mnemonic, packageId, suiNetwork, nftObjectId, creatorCapId, newName, newCoinId, braavVersion) {
+async function finalizeEdit(result, { nftObjectId, newName, newCoinId, braavVersion }) {
+  if (result.effects?.status.status !== "success") {
+    throw new Error(`Transaction failed: ${result.effects?.status.error || JSON.stringify(result, null, 2)}`);
+  }
+
+  console.log(`✅ Updated NFT ${nftObjectId} with name: ${newName}, coin_id: ${newCoinId}`);
+
+  return {
+    success: true,
+    transactionDigest: result.digest,
+    nftObjectId,
+    newName,
+    newCoinId,
+    braavVersion,
+    gasUsed: result.effects?.gasUsed,
+    fullResult: result
+  };
+}
+
+registerAdminOperation("nft.edit", finalizeEdit);
+
+export async function editNFT(signer, packageId, suiNetwork, nftObjectId, creatorCapId, newName, newCoinId, braavVersion) {
   try {
-    if (!mnemonic) throw new Error("MNEMONIC not set");
     if (!packageId) throw new Error("PACKAGE_ID not set");
     if (!suiNetwork) throw new Error("SUI_NETWORK not set");
     if (!nftObjectId) throw new Error("NFT_OBJECT_ID not set");
@@ -19,7 +39,6 @@ export async function editNFT(mnemonic, packageId, suiNetwork, nftObjectId, crea
     if (!isValidSuiAddress(creatorCapId)) throw new Error(`Invalid CreatorCap ID: ${creatorCapId}`);
 
     const client = new SuiClient({ url: suiNetwork });
-    const keypair = Ed25519Keypair.deriveKeypair(mnemonic);
     
     const nftType = `${packageId}::xoa::${braavVersion}`;
     
@@ -47,9 +66,9 @@ export async function editNFT(mnemonic, packageId, suiNetwork, nftObjectId, crea
 
     tx.setGasBudget(GAS_BUDGET);
 
-    const result = await client.signAndExecuteTransaction({
-      signer: keypair,
-      transaction: tx,
+    return await executeAdminTransaction(tx, {
+      operation: "nft.edit",
+      params: { nftObjectId, newName, newCoinId, braavVersion },
       options: {
         showObjectChanges: true,
         showEffects: true,
@@ -57,25 +76,9 @@ export async function editNFT(mnemonic, packageId, suiNetwork, nftObjectId, crea
         showBalanceChanges: true,
         showInput: true,
       },
+      signer,
+      client,
     });
-
-    if (result.effects?.status.status !== "success") {
-      throw new Error(`Transaction failed: ${result.effects?.status.error || JSON.stringify(result, null, 2)}`);
-    }
-
-    console.log(`✅ Updated NFT ${nftObjectId} with name: ${newName}, coin_id: ${newCoinId}`);
-
-    return {
-      success: true,
-      transactionDigest: result.digest,
-      nftObjectId,
-      newName,
-      newCoinId,
-      braavVersion,
-      gasUsed: result.effects?.gasUsed,
-      fullResult: result
-    };
-
   } catch (error) {
     console.error("❌ Error updating NFT:", error.message);
     throw error;
@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import { Signer } from '@mysten/sui/cryptography';
+import * as dotenv from 'dotenv';
+import { deriveKeypair, keypairFromSuiPrivateKey } from './keypairs.js';
+import { RemoteSigner } from './remoteSigner.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// scrypt parameters for keyfile passphrases
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+function deriveKeyfileKey(passphrase, salt) {
+    return crypto.scryptSync(passphrase, salt, 32, SCRYPT_PARAMS);
+}
+
+// Keyfile contents: the "suiprivkey1..." string, AES-256-GCM encrypted under a scrypt-derived passphrase key
+export function encryptKeyfile(privateKey, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKeyfileKey(passphrase, salt), iv);
+    const ciphertext = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()]);
+
+    return {
+        version: 1,
+        kdf: 'scrypt',
+        cipher: 'aes-256-gcm',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        ciphertext: ciphertext.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64')
+    };
+}
+
+export function decryptKeyfile(keyfile, passphrase) {
+    const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        deriveKeyfileKey(passphrase, Buffer.from(keyfile.salt, 'base64')),
+        Buffer.from(keyfile.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(keyfile.tag, 'base64'));
+
+    try {
+        return Buffer.concat([decipher.update(Buffer.from(keyfile.ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    } catch {
+        throw new Error('Could not decrypt the admin keyfile; check ADMIN_KEYFILE_PASSPHRASE');
+    }
+}
+
+// Decrypting is slow on purpose (scrypt), so the keyfile signer is kept once loaded
+let keyfileSigner = null;
+
+async function loadKeyfileSigner() {
+    const keyfilePath = process.env.ADMIN_KEYFILE;
+    const passphrase = process.env.ADMIN_KEYFILE_PASSPHRASE;
+    if (!keyfilePath || !passphrase) {
+        throw new Error('ADMIN_KEYFILE and ADMIN_KEYFILE_PASSPHRASE must be set for the keyfile signer');
+    }
+
+    if (keyfileSigner?.path !== keyfilePath) {
+        const keyfile = JSON.parse(await fs.readFile(keyfilePath, 'utf8'));
+        keyfileSigner = { path: keyfilePath, signer: keypairFromSuiPrivateKey(decryptKeyfile(keyfile, passphrase)) };
+    }
+    return keyfileSigner.signer;
+}
+
+// Signer for the admin key (AdminCap/CreatorCap owner), chosen by ADMIN_SIGNER:
+//   mnemonic (default) - MNEMONIC in the environment, derived for KEY_SCHEME (default ED25519)
+//   keyfile            - encrypted ADMIN_KEYFILE, unlocked with ADMIN_KEYFILE_PASSPHRASE
+//   remote             - a signing process listening on the ADMIN_SIGNER_SOCKET Unix socket
+export async function getAdminSigner() {
+    const backend = process.env.ADMIN_SIGNER || 'mnemonic';
+
+    switch (backend) {
+        case 'mnemonic': {
+            const mnemonic = process.env.MNEMONIC;
+            if (!mnemonic) {
+                throw new Error('MNEMONIC is not set in the .env file');
+            }
+            return deriveKeypair(mnemonic, process.env.KEY_SCHEME || 'ED25519');
+        }
+        case 'keyfile':
+            return loadKeyfileSigner();
+        case 'remote': {
+            const socketPath = process.env.ADMIN_SIGNER_SOCKET;
+            if (!socketPath) {
+                throw new Error('ADMIN_SIGNER_SOCKET must be set for the remote signer');
+            }
+            return RemoteSigner.connect(socketPath);
+        }
+        default:
+            throw new Error(`Unknown ADMIN_SIGNER backend: ${backend} (use mnemonic, keyfile or remote)`);
+    }
+}
+
+// For modules that take a signer argument: a Signer is used as is, a mnemonic string
+// is derived for KEY_SCHEME, and nothing means the configured admin signer
+export async function resolveSigner(signerOrMnemonic) {
+    if (signerOrMnemonic instanceof Signer) {
+        return signerOrMnemonic;
+    }
+    if (typeof signerOrMnemonic === 'string' && signerOrMnemonic) {
+        return deriveKeypair(signerOrMnemonic, process.env.KEY_SCHEME || 'ED25519');
+    }
+    return getAdminSigner();
+}
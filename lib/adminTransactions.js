@@ -0,0 +1,518 @@
+import crypto from 'crypto';
+import { JsonRpcError, SuiClient } from '@mysten/sui/client';
+import { MultiSigPublicKey } from '@mysten/sui/multisig';
+import { Transaction } from '@mysten/sui/transactions';
+import { fromBase64, normalizeSuiObjectId, toBase64 } from '@mysten/sui/utils';
+import { publicKeyFromSuiBytes, verifyTransactionSignature } from '@mysten/sui/verify';
+import * as dotenv from 'dotenv';
+import { resolveSigner } from './adminSigner.js';
+import { readJson, updateJson } from './jsonStore.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const ADMIN_TRANSACTIONS_FILE = 'admin-transactions.json';
+
+// How long to keep looking for a submitted transaction when the submit call itself failed
+const SUBMIT_LOOKUP_TIMEOUT_MS = 30 * 1000;
+
+// Post-processing per operation, run with the execution result once the transaction lands
+const adminOperations = new Map();
+const settledListeners = [];
+
+// Transactions this process is submitting right now; an 'executing' entry that isn't here
+// was left behind by a crash or restart during its submit
+const inFlight = new Set();
+
+function adminTransactionError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+export function registerAdminOperation(operation, finalize) {
+    adminOperations.set(operation, finalize);
+}
+
+// Called with the stored transaction whenever a pending one executes, fails or is cancelled
+export function onAdminTransactionSettled(listener) {
+    settledListeners.push(listener);
+}
+
+function notifySettled(transaction) {
+    for (const listener of settledListeners) {
+        Promise.resolve()
+            .then(() => listener(transaction))
+            .catch((error) => console.error('Admin transaction listener error:', error.message));
+    }
+}
+
+// ADMIN_MULTISIG_PUBLIC_KEYS lists member keys as Sui public keys (base64 of flag || key),
+// each optionally followed by ":<weight>"; ADMIN_MULTISIG_THRESHOLD defaults to every member signing.
+export function getMultisigAdmin() {
+    const configured = process.env.ADMIN_MULTISIG_PUBLIC_KEYS;
+    if (!configured) {
+        return null;
+    }
+
+    const members = configured.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+        const [key, weight = '1'] = entry.split(':');
+        return { publicKey: publicKeyFromSuiBytes(key), weight: Number(weight) };
+    });
+    const threshold = Number(process.env.ADMIN_MULTISIG_THRESHOLD || members.reduce((sum, member) => sum + member.weight, 0));
+    const publicKey = MultiSigPublicKey.fromPublicKeys({ threshold, publicKeys: members });
+
+    return { publicKey, address: publicKey.toSuiAddress(), threshold, members };
+}
+
+export function isMultisigAdmin() {
+    return Boolean(process.env.ADMIN_MULTISIG_PUBLIC_KEYS);
+}
+
+export function describeMultisigAdmin() {
+    const multisig = getMultisigAdmin();
+    if (!multisig) {
+        return null;
+    }
+    return {
+        address: multisig.address,
+        threshold: multisig.threshold,
+        members: multisig.members.map(({ publicKey, weight }) => ({
+            publicKey: publicKey.toSuiPublicKey(),
+            address: publicKey.toSuiAddress(),
+            weight
+        }))
+    };
+}
+
+// Address that owns the AdminCap/CreatorCap: the multisig when configured, otherwise the signer's
+export async function getAdminAddress(signer = null) {
+    const multisig = getMultisigAdmin();
+    if (multisig) {
+        return multisig.address;
+    }
+    return (await resolveSigner(signer)).toSuiAddress();
+}
+
+export function isPendingAdminTransaction(result) {
+    return result?.status === 'pending_signatures';
+}
+
+function finalizeAdminResult(operation, result, params) {
+    const finalize = adminOperations.get(operation);
+    if (!finalize) {
+        throw new Error(`Unknown admin operation: ${operation}`);
+    }
+    return finalize(result, params);
+}
+
+function signedWeight(transaction) {
+    return transaction.signatures.reduce((sum, signature) => sum + signature.weight, 0);
+}
+
+function summarizeAdminTransaction(transaction) {
+    const { signatures, options, ...rest } = transaction;
+    return {
+        ...rest,
+        signedWeight: signedWeight(transaction),
+        signatures: signatures.map(({ signature, ...signer }) => signer)
+    };
+}
+
+function pendingResponse(transaction) {
+    return {
+        success: true,
+        status: 'pending_signatures',
+        pendingTransactionId: transaction.id,
+        pendingTransaction: summarizeAdminTransaction(transaction),
+        message: `Waiting for multisig signatures (${signedWeight(transaction)} of ${transaction.threshold})`
+    };
+}
+
+// Owned objects (caps and gas coins) the transaction bytes pin to a version
+function ownedObjectRefs(transactionBytes) {
+    const { inputs, gasData } = Transaction.from(transactionBytes).getData();
+    return [
+        ...inputs.map((input) => input.Object?.ImmOrOwnedObject).filter(Boolean),
+        ...(gasData.payment || [])
+    ].map(({ objectId, version }) => ({ objectId: normalizeSuiObjectId(objectId), version: String(version) }));
+}
+
+// Bytes are stale once any object they pin has moved to a newer version (or is gone);
+// no signature over them can execute any more.
+async function isStale(client, transactionBytes) {
+    const refs = ownedObjectRefs(transactionBytes);
+    const objects = await client.multiGetObjects({ ids: refs.map((ref) => ref.objectId) });
+    return refs.some((ref, i) => objects[i]?.data?.version !== ref.version);
+}
+
+function sharesOwnedObject(transactionBytes, objectIds) {
+    return ownedObjectRefs(transactionBytes).some((ref) => objectIds.has(ref.objectId));
+}
+
+// A fullnode that answers "not found" is different from one that can't be reached:
+// only the first shows the transaction has not executed (yet)
+function isTransactionNotFound(error) {
+    return error instanceof JsonRpcError && /could not find/i.test(error.message);
+}
+
+// Looks a submitted transaction up by its digest. Resolves to { result } when it is on chain,
+// { result: null, lookupFailed: false } when the fullnode says it isn't, and
+// { result: null, lookupFailed: true } when that can't be determined.
+async function findSubmittedTransaction(client, transaction, timeout = SUBMIT_LOOKUP_TIMEOUT_MS) {
+    try {
+        return { result: await client.waitForTransaction({ digest: transaction.digest, options: transaction.options, timeout }) };
+    } catch {
+        // waitForTransaction hides why it gave up; one direct read tells the two cases apart
+        try {
+            return { result: await client.getTransactionBlock({ digest: transaction.digest, options: transaction.options }) };
+        } catch (error) {
+            return { result: null, lookupFailed: !isTransactionNotFound(error) };
+        }
+    }
+}
+
+// Runs the operation's post-processing for a transaction that made it on chain and records the outcome
+async function settleExecuted(transaction, result) {
+    let outcome;
+    try {
+        outcome = { status: 'executed', result: await finalizeAdminResult(transaction.operation, result, transaction.params), error: null };
+    } catch (error) {
+        outcome = { status: 'failed', result: null, error: error.message };
+    }
+
+    const settled = await updateAdminTransaction(transaction.id, (entry) => {
+        Object.assign(entry, outcome, { executedAt: new Date().toISOString(), transactionDigest: result.digest });
+        return { ...entry };
+    });
+    notifySettled(settled);
+    return settled;
+}
+
+function isInterrupted(transaction) {
+    return transaction.status === 'executing' && !inFlight.has(transaction.id);
+}
+
+// Unknown and interrupted transactions may have executed, so they hold on to their objects until resolved
+function isUnresolved(transaction) {
+    return transaction.status === 'unknown' || isInterrupted(transaction);
+}
+
+function markStale(id, error) {
+    return updateAdminTransaction(id, (entry) => {
+        Object.assign(entry, { status: 'stale', error });
+        return { ...entry };
+    });
+}
+
+// A transaction whose submission got no answer, and couldn't be looked up either, is 'unknown';
+// so is one left 'executing' by an interrupted submit. It is checked again before anything new
+// may use its objects: once found it is settled as executed, and once it is confirmed missing
+// with its objects moved on it is stale. An interrupted one that is neither becomes 'unknown',
+// which an admin can cancel after checking the digest.
+async function resolveUnknownTransaction(client, transaction) {
+    const { result, lookupFailed } = await findSubmittedTransaction(client, transaction, 0);
+    const stale = !result && !lookupFailed && await isStale(client, fromBase64(transaction.transactionBytes)).catch(() => false);
+    if (!result && !stale && !isInterrupted(transaction)) {
+        return transaction;
+    }
+
+    // Claim it first, so two requests finding it at once don't both settle it
+    const claimed = await updateAdminTransaction(transaction.id, (entry) => {
+        if (!isUnresolved(entry)) {
+            return null;
+        }
+        if (result) {
+            entry.status = 'executing';
+            inFlight.add(entry.id);
+        } else if (stale) {
+            entry.status = 'stale';
+        } else {
+            entry.status = 'unknown';
+            entry.error = entry.error || 'Execution was interrupted before its outcome was recorded';
+        }
+        return { ...entry };
+    });
+    if (!claimed) {
+        return transaction;
+    }
+    if (result) {
+        try {
+            return await settleExecuted(transaction, result);
+        } finally {
+            inFlight.delete(transaction.id);
+        }
+    }
+    if (stale) {
+        const closed = await markStale(transaction.id, `Objects used by this transaction changed and it is not on chain: ${claimed.error}`);
+        notifySettled(closed);
+        return closed;
+    }
+    return claimed;
+}
+
+// Runs a privileged transaction. With a single admin key it is signed and executed right away
+// and the operation's result returned; with a multisig admin it is stored for the members to
+// sign, and the operation is finished when the last needed signature arrives.
+// A dedupeKey makes a repeated request return the transaction already waiting for signatures.
+// Members sign fixed bytes that pin the caps and gas coin, so only one pending transaction may
+// use a given cap or coin; pending ones whose objects have since changed are marked stale.
+export async function executeAdminTransaction(tx, { operation, params = {}, options = {}, signer = null, dedupeKey = null, client = null }) {
+    const suiClient = client || new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' });
+    const multisig = getMultisigAdmin();
+
+    if (!multisig) {
+        const keypair = await resolveSigner(signer);
+        const result = await suiClient.signAndExecuteTransaction({ transaction: tx, signer: keypair, options });
+        return finalizeAdminResult(operation, result, params);
+    }
+
+    if (!adminOperations.has(operation)) {
+        throw new Error(`Unknown admin operation: ${operation}`);
+    }
+
+    tx.setSender(multisig.address);
+    const transactionBytes = await tx.build({ client: suiClient });
+    const digest = await Transaction.from(transactionBytes).getDigest();
+    const objectIds = new Set(ownedObjectRefs(transactionBytes).map((ref) => ref.objectId));
+
+    const { transactions } = await readJson(ADMIN_TRANSACTIONS_FILE, { transactions: [] });
+    for (const entry of transactions) {
+        if (isUnresolved(entry) && ((dedupeKey && entry.dedupeKey === dedupeKey) ||
+            sharesOwnedObject(fromBase64(entry.transactionBytes), objectIds))) {
+            await resolveUnknownTransaction(suiClient, entry);
+        }
+    }
+
+    const staleIds = new Set();
+    for (const entry of transactions) {
+        const related = entry.status === 'pending' &&
+            ((dedupeKey && entry.dedupeKey === dedupeKey) || sharesOwnedObject(fromBase64(entry.transactionBytes), objectIds));
+        if (related && await isStale(suiClient, fromBase64(entry.transactionBytes))) {
+            staleIds.add(entry.id);
+        }
+    }
+
+    const { transaction, staled } = await updateJson(ADMIN_TRANSACTIONS_FILE, { transactions: [] }, (store) => {
+        const staled = [];
+        for (const entry of store.transactions) {
+            if (entry.status === 'pending' && staleIds.has(entry.id)) {
+                Object.assign(entry, { status: 'stale', error: 'Objects used by this transaction changed before it was signed' });
+                staled.push({ ...entry });
+            }
+        }
+
+        const existing = dedupeKey && store.transactions.find((entry) => entry.dedupeKey === dedupeKey && entry.status === 'pending');
+        if (existing) {
+            return { transaction: existing, staled };
+        }
+
+        // An unknown one may still have executed, so proposing the operation again could run it twice
+        const unknown = store.transactions.find((entry) => isUnresolved(entry) &&
+            ((dedupeKey && entry.dedupeKey === dedupeKey) || sharesOwnedObject(fromBase64(entry.transactionBytes), objectIds)));
+        if (unknown) {
+            throw adminTransactionError(
+                `Admin transaction ${unknown.id} (${unknown.operation}) may have executed as ${unknown.digest}; check that digest and cancel the transaction if it did not land`,
+                409
+            );
+        }
+
+        const blocking = store.transactions.find((entry) => (entry.status === 'pending' || entry.status === 'executing') &&
+            sharesOwnedObject(fromBase64(entry.transactionBytes), objectIds));
+        if (blocking?.status === 'pending') {
+            throw adminTransactionError(
+                `Admin transaction ${blocking.id} (${blocking.operation}) is waiting for signatures and uses the same cap or gas coin; sign or cancel it first`,
+                409
+            );
+        }
+        if (blocking) {
+            throw adminTransactionError(
+                `Admin transaction ${blocking.id} (${blocking.operation}) is executing and uses the same cap or gas coin; try again once it has settled`,
+                409
+            );
+        }
+
+        const entry = {
+            id: crypto.randomUUID(),
+            operation,
+            params,
+            options,
+            dedupeKey,
+            digest,
+            transactionBytes: toBase64(transactionBytes),
+            multisigAddress: multisig.address,
+            threshold: multisig.threshold,
+            status: 'pending',
+            signatures: [],
+            createdAt: new Date().toISOString(),
+            executedAt: null,
+            result: null,
+            error: null
+        };
+        store.transactions.push(entry);
+        return { transaction: entry, staled };
+    });
+
+    staled.forEach(notifySettled);
+    return pendingResponse(transaction);
+}
+
+export async function listAdminTransactions({ status = null, limit = 100 } = {}) {
+    const { transactions } = await readJson(ADMIN_TRANSACTIONS_FILE, { transactions: [] });
+    return transactions
+        .filter((transaction) => !status || transaction.status === status)
+        .slice(-limit)
+        .reverse()
+        .map(summarizeAdminTransaction);
+}
+
+export async function getAdminTransaction(id) {
+    const { transactions } = await readJson(ADMIN_TRANSACTIONS_FILE, { transactions: [] });
+    const transaction = transactions.find((entry) => entry.id === id);
+    if (!transaction) {
+        throw adminTransactionError(`No admin transaction with id ${id}`, 404);
+    }
+    return summarizeAdminTransaction(transaction);
+}
+
+function updateAdminTransaction(id, updater) {
+    return updateJson(ADMIN_TRANSACTIONS_FILE, { transactions: [] }, (store) => {
+        const transaction = store.transactions.find((entry) => entry.id === id);
+        if (!transaction) {
+            throw adminTransactionError(`No admin transaction with id ${id}`, 404);
+        }
+        return updater(transaction);
+    });
+}
+
+// Adds one member's signature over the stored transaction bytes ("sui keytool sign" output or a
+// wallet's signTransaction signature). The transaction executes once the signed weight reaches the threshold.
+export async function addAdminSignature(id, signature) {
+    const multisig = getMultisigAdmin();
+    if (!multisig) {
+        throw adminTransactionError('No multisig admin is configured (ADMIN_MULTISIG_PUBLIC_KEYS)', 409);
+    }
+
+    const stored = await getAdminTransaction(id);
+    if (stored.multisigAddress !== multisig.address) {
+        throw adminTransactionError('The multisig configuration changed after this transaction was proposed; cancel it and start again', 409);
+    }
+
+    let publicKey;
+    try {
+        publicKey = await verifyTransactionSignature(fromBase64(stored.transactionBytes), signature);
+    } catch {
+        throw adminTransactionError('Signature does not verify against this transaction', 400);
+    }
+
+    const member = multisig.members.find((candidate) => candidate.publicKey.equals(publicKey));
+    if (!member) {
+        throw adminTransactionError(`${publicKey.toSuiAddress()} is not a member of the admin multisig`, 403);
+    }
+
+    // Record the signature and claim execution in one step, so two final signatures can't both submit it
+    const { transaction, execute } = await updateAdminTransaction(id, (transaction) => {
+        if (transaction.status !== 'pending') {
+            throw adminTransactionError(`Admin transaction ${id} is already ${transaction.status}`, 409);
+        }
+
+        const memberKey = member.publicKey.toSuiPublicKey();
+        transaction.signatures = transaction.signatures.filter((entry) => entry.publicKey !== memberKey);
+        transaction.signatures.push({
+            publicKey: memberKey,
+            address: member.publicKey.toSuiAddress(),
+            weight: member.weight,
+            signature,
+            signedAt: new Date().toISOString()
+        });
+
+        const ready = signedWeight(transaction) >= transaction.threshold;
+        if (ready) {
+            transaction.status = 'executing';
+            inFlight.add(id);
+        }
+        return { transaction: { ...transaction }, execute: ready };
+    });
+
+    if (!execute) {
+        return summarizeAdminTransaction(transaction);
+    }
+
+    try {
+        return await executeMultisigTransaction(multisig, transaction);
+    } finally {
+        inFlight.delete(id);
+    }
+}
+
+async function executeMultisigTransaction(multisig, transaction) {
+    const client = new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' });
+
+    let result;
+    let submitError = null;
+    try {
+        result = await client.executeTransactionBlock({
+            transactionBlock: transaction.transactionBytes,
+            signature: multisig.publicKey.combinePartialSignatures(transaction.signatures.map((entry) => entry.signature)),
+            options: transaction.options
+        });
+    } catch (error) {
+        // The submission may have landed even though no answer came back
+        submitError = error;
+        const lookup = await findSubmittedTransaction(client, transaction);
+        result = lookup.result;
+
+        if (!result && lookup.lookupFailed) {
+            // Neither the submit nor the lookup answered, so it may well have executed.
+            // It is left for the next request using its objects to look up again, never re-proposed.
+            await updateAdminTransaction(transaction.id, (entry) => {
+                entry.status = 'unknown';
+                entry.error = submitError.message;
+            });
+            throw adminTransactionError(
+                `Could not confirm whether the multisig transaction executed: ${submitError.message}. Check digest ${transaction.digest} before sending the request again`,
+                502
+            );
+        }
+    }
+
+    if (!result) {
+        // The fullnode confirmed it is not on chain; stale bytes can never execute, so it is closed instead of waiting again
+        const stale = await isStale(client, fromBase64(transaction.transactionBytes)).catch(() => false);
+        if (stale) {
+            const closed = await markStale(transaction.id, `Objects used by this transaction changed before it executed: ${submitError.message}`);
+            notifySettled(closed);
+            throw adminTransactionError(`${closed.error}; send the request again to propose a new transaction`, 409);
+        }
+
+        // Nothing reached the chain; keep the signatures so the next one (or a retry) can submit again
+        await updateAdminTransaction(transaction.id, (entry) => {
+            entry.status = 'pending';
+            entry.error = submitError.message;
+        });
+        throw adminTransactionError(`Could not execute the multisig transaction: ${submitError.message}`, 502);
+    }
+
+    return summarizeAdminTransaction(await settleExecuted(transaction, result));
+}
+
+// Unknown transactions can be cancelled too, once their digest has been checked and did not land.
+// An interrupted 'executing' one is looked up first and becomes unknown (so cancellable) if not found.
+export async function cancelAdminTransaction(id) {
+    const { transactions } = await readJson(ADMIN_TRANSACTIONS_FILE, { transactions: [] });
+    const stored = transactions.find((entry) => entry.id === id);
+    if (stored && isInterrupted(stored)) {
+        await resolveUnknownTransaction(new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' }), stored);
+    }
+
+    const cancelled = await updateAdminTransaction(id, (transaction) => {
+        if (transaction.status !== 'pending' && transaction.status !== 'unknown') {
+            throw adminTransactionError(`Admin transaction ${id} is already ${transaction.status}`, 409);
+        }
+        transaction.status = 'cancelled';
+        transaction.cancelledAt = new Date().toISOString();
+        return { ...transaction };
+    });
+    notifySettled(cancelled);
+    return summarizeAdminTransaction(cancelled);
+}
@@ -0,0 +1,124 @@
+import { normalizeSuiAddress } from '@mysten/sui/utils';
+import { readJson, updateJson } from './jsonStore.js';
+
+const DOSSIERS_FILE = 'application-dossiers.json';
+const EDITABLE_FIELDS = ['applicantName', 'documents', 'notes'];
+
+function dossierError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Returns a list of problems with the dossier fields, empty when they are valid
+export function validateDossierFields(fields) {
+    const errors = [];
+
+    if (typeof fields.applicantName !== 'undefined' && typeof fields.applicantName !== 'string') {
+        errors.push('applicantName must be a string');
+    }
+    if (typeof fields.notes !== 'undefined' && typeof fields.notes !== 'string') {
+        errors.push('notes must be a string');
+    }
+    if (typeof fields.documents !== 'undefined') {
+        const validDocuments = Array.isArray(fields.documents) && fields.documents.every(
+            (document) => document && typeof document.name === 'string' && typeof document.url === 'string'
+        );
+        if (!validDocuments) {
+            errors.push('documents must be an array of { name, url } objects');
+        }
+    }
+
+    return errors;
+}
+
+function pickEditableFields(fields) {
+    return Object.fromEntries(
+        EDITABLE_FIELDS.filter((field) => typeof fields[field] !== 'undefined').map((field) => [field, fields[field]])
+    );
+}
+
+export async function createDossier(applicantAddress, fields) {
+    const address = normalizeSuiAddress(applicantAddress);
+
+    return updateJson(DOSSIERS_FILE, {}, (dossiers) => {
+        if (dossiers[address]) {
+            throw dossierError(`A dossier already exists for ${address}`, 409);
+        }
+
+        const now = new Date().toISOString();
+        dossiers[address] = {
+            applicantAddress: address,
+            applicantName: '',
+            documents: [],
+            notes: '',
+            ...pickEditableFields(fields),
+            submittedAt: null,
+            submissionDigest: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        return dossiers[address];
+    });
+}
+
+export async function getDossier(applicantAddress) {
+    const dossiers = await readJson(DOSSIERS_FILE, {});
+    return dossiers[normalizeSuiAddress(applicantAddress)] || null;
+}
+
+export async function listDossiers() {
+    const dossiers = await readJson(DOSSIERS_FILE, {});
+    return Object.values(dossiers);
+}
+
+export async function updateDossier(applicantAddress, fields) {
+    const address = normalizeSuiAddress(applicantAddress);
+
+    return updateJson(DOSSIERS_FILE, {}, (dossiers) => {
+        if (!dossiers[address]) {
+            throw dossierError(`No dossier found for ${address}`, 404);
+        }
+
+        Object.assign(dossiers[address], pickEditableFields(fields), { updatedAt: new Date().toISOString() });
+        return dossiers[address];
+    });
+}
+
+export async function deleteDossier(applicantAddress) {
+    const address = normalizeSuiAddress(applicantAddress);
+
+    return updateJson(DOSSIERS_FILE, {}, (dossiers) => {
+        if (!dossiers[address]) {
+            throw dossierError(`No dossier found for ${address}`, 404);
+        }
+
+        delete dossiers[address];
+        return { applicantAddress: address, deleted: true };
+    });
+}
+
+// Called after a successful on-chain submission; creates the dossier if the applicant has none yet
+export async function recordDossierSubmission(applicantAddress, transactionDigest, fields = {}) {
+    const address = normalizeSuiAddress(applicantAddress);
+
+    return updateJson(DOSSIERS_FILE, {}, (dossiers) => {
+        const now = new Date().toISOString();
+        const existing = dossiers[address] || {
+            applicantAddress: address,
+            applicantName: '',
+            documents: [],
+            notes: '',
+            createdAt: now
+        };
+
+        dossiers[address] = {
+            ...existing,
+            ...pickEditableFields(fields),
+            submittedAt: now,
+            submissionDigest: transactionDigest,
+            updatedAt: now
+        };
+        return dossiers[address];
+    });
+}
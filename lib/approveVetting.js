@@ -1,31 +1,60 @@
-import { SuiClient } from '@mysten/sui/client';
-import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519';
 import { Transaction } from '@mysten/sui/transactions';
 import * as dotenv from 'dotenv';
+import { executeAdminTransaction, registerAdminOperation } from './adminTransactions.js';
+import { recordVettingDecision } from './vettingDecisions.js';
+import { resolveVettingTableId } from './vettingTables.js';
+import { buildApprovalExpiry } from './vettingExpiry.js';
+import { addBadgeMintCall, findMintedBadgeId } from './badgeMinting.js';
 
 // Load environment variables from .env file
 dotenv.config();
 
-export async function approveVetting(applicantAddress) {
+// The approval's validity period starts when the transaction executes, which for a
+// multisig admin is when the last signature arrives
+async function finalizeApproval(result, { applicantAddress, badge, validityDays, vettingTableId }) {
+    if (result.effects?.status?.status !== 'success') {
+        throw new Error(`Transaction failed: ${result.effects?.status?.error || 'Unknown error'}`);
+    }
+
+    const expiry = buildApprovalExpiry(validityDays);
+    await recordVettingDecision(applicantAddress, 'approved', result.digest, expiry, vettingTableId);
+
+    const response = {
+        success: true,
+        transactionDigest: result.digest,
+        applicantAddress,
+        vettingTableId,
+        status: 'approved',
+        expiresAt: expiry.expiresAt,
+        message: 'Vetting approved successfully'
+    };
+
+    if (badge) {
+        response.badge = {
+            kind: badge.kind,
+            braavVersion: badge.braavVersion,
+            objectId: findMintedBadgeId(result.objectChanges, badge)
+        };
+        response.message = 'Vetting approved and badge minted successfully';
+    }
+
+    return response;
+}
+
+registerAdminOperation('vetting.approve', finalizeApproval);
+
+// When a badge is given it is minted to the applicant in the same transaction,
+// so an applicant never ends up approved without their badge.
+export async function approveVetting(applicantAddress, { badge = null, validityDays = undefined, vettingTable = null } = {}) {
     const PACKAGE_ID = process.env.PACKAGE_ID || 'YOUR_PACKAGE_ID';
-    const VETTING_TABLE_ID = process.env.VETTING_TABLE_ID || 'YOUR_VETTING_TABLE_ID';
+    const VETTING_TABLE_ID = await resolveVettingTableId(vettingTable) || 'YOUR_VETTING_TABLE_ID';
     const ADMIN_CAP_ID = process.env.ADMIN_CAP || 'YOUR_ADMIN_CAP_ID';
-    const client = new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' });
 
     // Validate required environment variables
     if (PACKAGE_ID === 'YOUR_PACKAGE_ID' || VETTING_TABLE_ID === 'YOUR_VETTING_TABLE_ID' || ADMIN_CAP_ID === 'YOUR_ADMIN_CAP_ID') {
         throw new Error('Required environment variables not set: PACKAGE_ID, VETTING_TABLE_ID, or ADMIN_CAP');
     }
 
-    // Load mnemonic from environment variable
-    const mnemonic = process.env.MNEMONIC;
-    if (!mnemonic) {
-        throw new Error('MNEMONIC is not set in the .env file');
-    }
-
-    // Derive keypair from mnemonic
-    const keypair = Ed25519Keypair.deriveKeypair(mnemonic);
-
     const tx = new Transaction();
     tx.moveCall({
         target: `${PACKAGE_ID}::vetting::approve_vetting`,
@@ -36,21 +65,19 @@ export async function approveVetting(applicantAddress) {
         ],
     });
 
+    if (badge) {
+        addBadgeMintCall(tx, PACKAGE_ID, badge, applicantAddress);
+    }
+
     try {
-        const result = await client.signAndExecuteTransaction({
-            transaction: tx,
-            signer: keypair,
-            options: { showEffects: true },
+        return await executeAdminTransaction(tx, {
+            operation: 'vetting.approve',
+            params: { applicantAddress, badge, validityDays, vettingTableId: VETTING_TABLE_ID },
+            options: { showEffects: true, showObjectChanges: true },
+            dedupeKey: `vetting.approve:${VETTING_TABLE_ID}:${applicantAddress}`
         });
-        
-        return {
-            success: true,
-            transactionDigest: result.digest,
-            applicantAddress,
-            message: 'Vetting approved successfully'
-        };
     } catch (error) {
         console.error('Error executing transaction:', error);
         throw error;
     }
-}
\ No newline at end of file
+}
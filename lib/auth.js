@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import { normalizeSuiAddress } from '@mysten/sui/utils';
+import { verifyPersonalMessageSignature } from '@mysten/sui/verify';
+import * as dotenv from 'dotenv';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Challenges are single-use and short-lived, so they are kept in memory only
+const pendingChallenges = new Map();
+
+// Issuing a challenge needs no token, so the store is bounded: in total, and per client (IP address)
+// so one client can't fill it for everyone else
+function getChallengeLimits() {
+    return {
+        maxPending: Number(process.env.AUTH_MAX_PENDING_CHALLENGES || 10000),
+        maxPerClient: Number(process.env.AUTH_MAX_CHALLENGES_PER_CLIENT || 10)
+    };
+}
+
+function authError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Auth is on unless REQUIRE_AUTH=false is set explicitly (for local development): applicant-facing
+// reads then need a session or admin token, and privileged routes an admin token
+export function isAuthRequired() {
+    return process.env.REQUIRE_AUTH !== 'false';
+}
+
+// Only sign-in needs the secret; without it no session token can be issued or accepted
+function getAuthSecret() {
+    const secret = process.env.AUTH_SECRET;
+    if (!secret) {
+        throw authError('Sign-in is not available: AUTH_SECRET not configured in environment variables', 503);
+    }
+    return secret;
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', getAuthSecret()).update(payload).digest('base64url');
+}
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+export function createChallenge(address, { client = null } = {}) {
+    getAuthSecret();
+    const normalizedAddress = normalizeSuiAddress(address);
+    const challengeId = crypto.randomUUID();
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+
+    const message = [
+        'Sign in to the Sui Vetting API',
+        `Address: ${normalizedAddress}`,
+        `Nonce: ${crypto.randomBytes(16).toString('hex')}`,
+        `Issued At: ${issuedAt.toISOString()}`
+    ].join('\n');
+
+    // Drop expired challenges so abandoned sign-ins don't accumulate
+    const { maxPending, maxPerClient } = getChallengeLimits();
+    let clientChallenges = 0;
+    for (const [id, challenge] of pendingChallenges) {
+        if (challenge.expiresAt <= issuedAt) {
+            pendingChallenges.delete(id);
+        } else if (client && challenge.client === client) {
+            clientChallenges += 1;
+        }
+    }
+    if (clientChallenges >= maxPerClient) {
+        throw authError('Too many open sign-in challenges from this client; use one or wait for them to expire', 429);
+    }
+    if (pendingChallenges.size >= maxPending) {
+        throw authError('Too many open sign-in challenges; try again shortly', 429);
+    }
+    pendingChallenges.set(challengeId, { address: normalizedAddress, client, message, expiresAt });
+
+    return {
+        challengeId,
+        address: normalizedAddress,
+        message,
+        expiresAt: expiresAt.toISOString()
+    };
+}
+
+export async function verifyChallenge(challengeId, signature) {
+    const challenge = pendingChallenges.get(challengeId);
+    pendingChallenges.delete(challengeId);
+
+    if (!challenge || challenge.expiresAt <= new Date()) {
+        throw authError('Challenge not found or expired', 401);
+    }
+
+    try {
+        await verifyPersonalMessageSignature(new TextEncoder().encode(challenge.message), signature, {
+            address: challenge.address
+        });
+    } catch (error) {
+        throw authError('Signature does not match the challenge address', 401);
+    }
+
+    return issueSessionToken(challenge.address);
+}
+
+function issueSessionToken(address) {
+    const ttlMinutes = Number(process.env.AUTH_SESSION_TTL_MINUTES || 60);
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+    const payload = Buffer.from(JSON.stringify({
+        role: 'applicant',
+        address,
+        exp: expiresAt.getTime()
+    })).toString('base64url');
+
+    return {
+        token: `${payload}.${sign(payload)}`,
+        address,
+        role: 'applicant',
+        expiresAt: expiresAt.toISOString()
+    };
+}
+
+// Admin tokens are listed in ADMIN_API_TOKENS (comma-separated)
+function getAdminTokens() {
+    return (process.env.ADMIN_API_TOKENS || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+}
+
+export function hasAdminTokens() {
+    return getAdminTokens().length > 0;
+}
+
+// Reviewer tokens are listed in REVIEWER_API_TOKENS as comma-separated "<reviewer>:<token>" pairs.
+// The reviewer name is what votes are recorded under, so each person needs their own token.
+function getReviewerTokens() {
+    return (process.env.REVIEWER_API_TOKENS || '').split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+        const separator = entry.indexOf(':');
+        return { reviewer: entry.slice(0, separator).trim(), token: entry.slice(separator + 1).trim() };
+    }).filter(({ reviewer, token }) => reviewer && token);
+}
+
+export function hasReviewerTokens() {
+    return getReviewerTokens().length > 0;
+}
+
+// Resolves a bearer token to { role, address } (plus reviewer for reviewer tokens), or null when it is not valid
+export function resolveToken(token) {
+    if (!token) {
+        return null;
+    }
+
+    const adminTokens = getAdminTokens();
+    if (adminTokens.some((adminToken) => safeEqual(adminToken, token))) {
+        return { role: 'admin', address: null };
+    }
+
+    const reviewerToken = getReviewerTokens().find((entry) => safeEqual(entry.token, token));
+    if (reviewerToken) {
+        return { role: 'reviewer', address: null, reviewer: reviewerToken.reviewer };
+    }
+
+    // Without AUTH_SECRET there are no sessions, so any other token is simply anonymous
+    const [payload, signature] = token.split('.');
+    if (!process.env.AUTH_SECRET || !payload || !signature || !safeEqual(sign(payload), signature)) {
+        return null;
+    }
+
+    try {
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (session.role !== 'applicant' || !session.address || session.exp <= Date.now()) {
+            return null;
+        }
+        return { role: 'applicant', address: session.address };
+    } catch (error) {
+        return null;
+    }
+}
+
+export function canAccessAddress(auth, address) {
+    return auth?.role === 'admin' ||
+        (auth?.role === 'applicant' && auth.address === normalizeSuiAddress(address));
+}
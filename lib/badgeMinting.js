@@ -0,0 +1,114 @@
+import { normalizeSuiAddress } from '@mysten/sui/utils';
+import * as dotenv from 'dotenv';
+import { readJson } from './jsonStore.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const BADGE_CONFIGS_FILE = 'badge-configs.json';
+const BADGE_FIELDS = ['braavVersion', 'supplyCapId', 'lineageId', 'counterId', 'nftName', 'coinId'];
+
+function badgeError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+function validateBadge(badge) {
+    const missingFields = BADGE_FIELDS.filter((field) => !badge[field]);
+    if (missingFields.length > 0) {
+        throw badgeError(`Badge is missing required fields: ${missingFields.join(', ')}`);
+    }
+    if (badge.kind !== 'nft' && badge.kind !== 'restricted') {
+        throw badgeError('Badge kind must be "nft" or "restricted"');
+    }
+    return badge;
+}
+
+// Badge configs live in DATA_DIR/badge-configs.json, keyed by BRAAV version:
+// { "BRAAV16": { "kind": "restricted", "supplyCapId": "0x...", "lineageId": "0x...",
+//   "counterId": "0x...", "nftName": "Member Badge", "coinId": "member" } }
+async function getConfiguredBadge(braavVersion) {
+    const configs = await readJson(BADGE_CONFIGS_FILE, {});
+    const config = configs[braavVersion];
+    if (!config) {
+        throw badgeError(`No badge configured for ${braavVersion} in ${BADGE_CONFIGS_FILE}`);
+    }
+    return validateBadge({ kind: 'nft', ...config, braavVersion });
+}
+
+// Turns the mintBadge option of an approval into a full badge description, or null for no mint.
+// undefined falls back to AUTO_MINT_BRAAV_VERSION, true requires it, a string names a configured
+// version, and an object gives every badge field explicitly.
+export async function resolveBadgeOption(mintBadge) {
+    const defaultVersion = process.env.AUTO_MINT_BRAAV_VERSION;
+
+    if (mintBadge === false || (typeof mintBadge === 'undefined' && !defaultVersion)) {
+        return null;
+    }
+    if (typeof mintBadge === 'undefined' || mintBadge === true) {
+        if (!defaultVersion) {
+            throw badgeError('AUTO_MINT_BRAAV_VERSION is not set, so mintBadge must name a BRAAV version');
+        }
+        return getConfiguredBadge(defaultVersion);
+    }
+    if (typeof mintBadge === 'string') {
+        return getConfiguredBadge(mintBadge);
+    }
+    if (mintBadge && typeof mintBadge === 'object') {
+        return validateBadge({ kind: 'nft', ...mintBadge });
+    }
+    throw badgeError('mintBadge must be a boolean, a BRAAV version or a badge object');
+}
+
+// Adds the mint of the badge to an existing transaction, so it executes atomically with the rest
+export function addBadgeMintCall(tx, packageId, badge, recipientAddress) {
+    const nftType = `${packageId}::xoa::${badge.braavVersion}`;
+    const clockObjectId = process.env.CLOCK_OBJECT_ID || '0x6';
+
+    if (badge.kind === 'restricted') {
+        const creatorCapId = process.env.CREATOR_CAP_ID;
+        if (!creatorCapId) {
+            throw new Error('CREATOR_CAP_ID not configured in environment variables');
+        }
+
+        tx.moveCall({
+            target: `${packageId}::braav_public::mint_restricted`,
+            arguments: [
+                tx.object(creatorCapId), // _creator
+                tx.object(badge.supplyCapId), // supply_cap
+                tx.object(badge.lineageId), // lineage
+                tx.object(badge.counterId), // counter
+                tx.pure.address(recipientAddress), // recipient
+                tx.pure.string(badge.nftName), // name
+                tx.pure.string(badge.coinId), // coin_id
+                tx.object(clockObjectId), // clock
+            ],
+            typeArguments: [nftType],
+        });
+        return;
+    }
+
+    tx.moveCall({
+        target: `${packageId}::braav_public::mint_and_transfer`,
+        arguments: [
+            tx.pure.string(badge.nftName), // name
+            tx.pure.string(badge.coinId), // coin_id (badge coin id)
+            tx.object(badge.supplyCapId), // supply_cap
+            tx.object(badge.lineageId), // lineage
+            tx.object(badge.counterId), // counter
+            tx.pure.address(recipientAddress), // recipient
+            tx.object(clockObjectId), // clock
+        ],
+        typeArguments: [nftType],
+    });
+}
+
+// With recipientAddress, only a badge created for that address matches (batch approvals mint several)
+export function findMintedBadgeId(objectChanges, badge, recipientAddress = null) {
+    const objectType = badge.kind === 'restricted' ? '::braav_public::RestrictedNFT' : '::braav_public::NFT';
+    return objectChanges?.find(
+        (change) => change.type === 'created' && change.objectType.includes(objectType) &&
+            (!recipientAddress || normalizeSuiAddress(change.owner?.AddressOwner ?? '') === recipientAddress)
+    )?.objectId ?? null;
+}
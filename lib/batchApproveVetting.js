@@ -0,0 +1,152 @@
+import { Transaction } from '@mysten/sui/transactions';
+import { normalizeSuiAddress } from '@mysten/sui/utils';
+import * as dotenv from 'dotenv';
+import { executeAdminTransaction, isPendingAdminTransaction, registerAdminOperation } from './adminTransactions.js';
+import { addBadgeMintCall, findMintedBadgeId } from './badgeMinting.js';
+import { bulkStatusOfVetting } from './bulkStatusOfVetting.js';
+import { recordVettingDecision } from './vettingDecisions.js';
+import { buildApprovalExpiry } from './vettingExpiry.js';
+import { resolveVettingTableId } from './vettingTables.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Well below the 1024 commands a programmable transaction block may hold,
+// so a single chunk also stays comfortably inside the gas and size limits.
+export const DEFAULT_APPROVAL_CHUNK_SIZE = 100;
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+async function finalizeBatchApproval(result, { addresses, validityDays, badge = null, vettingTableId = null }) {
+    if (result.effects?.status?.status !== 'success') {
+        throw new Error(`Transaction failed: ${result.effects?.status?.error || 'Unknown error'}`);
+    }
+
+    const badgeIds = {};
+    for (const applicantAddress of addresses) {
+        await recordVettingDecision(applicantAddress, 'approved', result.digest, buildApprovalExpiry(validityDays), vettingTableId);
+        if (badge) {
+            badgeIds[applicantAddress] = findMintedBadgeId(result.objectChanges, badge, applicantAddress);
+        }
+    }
+    return { success: true, transactionDigest: result.digest, addresses, vettingTableId, badgeIds };
+}
+
+registerAdminOperation('vetting.batch_approve', finalizeBatchApproval);
+
+// Like approveVetting, a given badge is minted to each applicant in the same chunk transaction
+export async function batchApproveVetting(applicantAddresses, chunkSize = DEFAULT_APPROVAL_CHUNK_SIZE, validityDays = undefined, badge = null, vettingTable = null) {
+    const PACKAGE_ID = process.env.PACKAGE_ID || 'YOUR_PACKAGE_ID';
+    const VETTING_TABLE_ID = await resolveVettingTableId(vettingTable) || 'YOUR_VETTING_TABLE_ID';
+    const ADMIN_CAP_ID = process.env.ADMIN_CAP || 'YOUR_ADMIN_CAP_ID';
+
+    // Validate required environment variables
+    if (PACKAGE_ID === 'YOUR_PACKAGE_ID' || VETTING_TABLE_ID === 'YOUR_VETTING_TABLE_ID' || ADMIN_CAP_ID === 'YOUR_ADMIN_CAP_ID') {
+        throw new Error('Required environment variables not set: PACKAGE_ID, VETTING_TABLE_ID, or ADMIN_CAP');
+    }
+
+    const uniqueAddresses = [...new Set(applicantAddresses.map((address) => normalizeSuiAddress(address)))];
+
+    // Only pending applications go on-chain; the rest are reported without spending gas
+    const results = {};
+    const toApprove = [];
+    const { statuses } = await bulkStatusOfVetting(uniqueAddresses, undefined, { vettingTable: VETTING_TABLE_ID });
+    for (const applicantAddress of uniqueAddresses) {
+        const status = statuses[applicantAddress];
+        if (status.status === 'error') {
+            results[applicantAddress] = { result: 'failed', error: status.message };
+        } else if (!status.hasApplied) {
+            results[applicantAddress] = { result: 'not_applied' };
+        } else if (status.status === 'approved') {
+            results[applicantAddress] = { result: 'already_approved' };
+        } else {
+            toApprove.push(applicantAddress);
+        }
+    }
+
+    const chunks = [];
+    let pendingTransactionId = null;
+    for (const addresses of chunk(toApprove, chunkSize)) {
+        // Every chunk uses the AdminCap, and a multisig may only have one transaction pending
+        // per cap, so later chunks wait until the pending one has been signed
+        if (pendingTransactionId) {
+            for (const applicantAddress of addresses) {
+                results[applicantAddress] = { result: 'deferred', waitingFor: pendingTransactionId };
+            }
+            chunks.push({ addresses, success: true, transactionDigest: null, deferred: true });
+            continue;
+        }
+
+        const tx = new Transaction();
+        for (const applicantAddress of addresses) {
+            tx.moveCall({
+                target: `${PACKAGE_ID}::vetting::approve_vetting`,
+                arguments: [
+                    tx.object(ADMIN_CAP_ID),
+                    tx.object(VETTING_TABLE_ID),
+                    tx.pure.address(applicantAddress),
+                ],
+            });
+            if (badge) {
+                addBadgeMintCall(tx, PACKAGE_ID, badge, applicantAddress);
+            }
+        }
+
+        // A failed chunk is reported per address instead of aborting the remaining chunks
+        try {
+            const result = await executeAdminTransaction(tx, {
+                operation: 'vetting.batch_approve',
+                params: { addresses, validityDays, badge, vettingTableId: VETTING_TABLE_ID },
+                options: { showEffects: true, showObjectChanges: true }
+            });
+
+            if (isPendingAdminTransaction(result)) {
+                for (const applicantAddress of addresses) {
+                    results[applicantAddress] = { result: 'pending_signatures', pendingTransactionId: result.pendingTransactionId };
+                }
+                chunks.push({ addresses, success: true, transactionDigest: null, pendingTransactionId: result.pendingTransactionId });
+                pendingTransactionId = result.pendingTransactionId;
+                continue;
+            }
+
+            for (const applicantAddress of addresses) {
+                results[applicantAddress] = { result: 'approved', transactionDigest: result.transactionDigest };
+                if (badge) {
+                    results[applicantAddress].badge = {
+                        kind: badge.kind,
+                        braavVersion: badge.braavVersion,
+                        objectId: result.badgeIds[applicantAddress]
+                    };
+                }
+            }
+            chunks.push({ addresses, success: true, transactionDigest: result.transactionDigest });
+        } catch (error) {
+            console.error('Error executing batch approval chunk:', error.message);
+            for (const applicantAddress of addresses) {
+                results[applicantAddress] = { result: 'failed', error: error.message };
+            }
+            chunks.push({ addresses, success: false, transactionDigest: null, error: error.message });
+        }
+    }
+
+    const approvedCount = Object.values(results).filter((entry) => entry.result === 'approved').length;
+    const pendingCount = Object.values(results).filter((entry) => entry.result === 'pending_signatures').length;
+    const deferredCount = Object.values(results).filter((entry) => entry.result === 'deferred').length;
+
+    return {
+        success: Object.values(results).every((entry) => entry.result !== 'failed'),
+        vettingTableId: VETTING_TABLE_ID,
+        results,
+        chunks,
+        message: pendingCount > 0
+            ? `Approved ${approvedCount} of ${uniqueAddresses.length} addresses; ${pendingCount} waiting for multisig signatures` +
+                (deferredCount > 0 ? `, ${deferredCount} deferred until that transaction executes` : '')
+            : `Approved ${approvedCount} of ${uniqueAddresses.length} addresses`
+    };
+}
@@ -0,0 +1,92 @@
+import { SuiClient } from '@mysten/sui/client';
+import { Transaction } from '@mysten/sui/transactions';
+import { normalizeSuiAddress } from '@mysten/sui/utils';
+import * as dotenv from 'dotenv';
+import { buildStatusError, interpretStatusResult, invalidAddressError, isValidApplicantAddress, statusOfVetting } from './statusOfVetting.js';
+import { getVettingDecisions } from './vettingDecisions.js';
+import { resolveVettingTableId } from './vettingTables.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// A programmable transaction block may hold at most 1024 commands; staying well under
+// that also keeps each inspected block inside the devInspect gas limit.
+export const DEFAULT_STATUS_CHUNK_SIZE = 256;
+
+export async function bulkStatusOfVetting(applicantAddresses, chunkSize = DEFAULT_STATUS_CHUNK_SIZE, { vettingTable = null } = {}) {
+    const invalidAddresses = applicantAddresses.filter((address) => !isValidApplicantAddress(address));
+    if (invalidAddresses.length > 0) {
+        throw invalidAddressError(invalidAddresses);
+    }
+
+    const PACKAGE_ID = process.env.PACKAGE_ID || 'YOUR_PACKAGE_ID';
+    const VETTING_TABLE_ID = await resolveVettingTableId(vettingTable) || 'YOUR_VETTING_TABLE_ID';
+    const client = new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' });
+
+    // Validate environment variables
+    if (PACKAGE_ID === 'YOUR_PACKAGE_ID' || VETTING_TABLE_ID === 'YOUR_VETTING_TABLE_ID') {
+        throw new Error('PACKAGE_ID or VETTING_TABLE_ID not set in .env file');
+    }
+
+    const uniqueAddresses = [...new Set(applicantAddresses.map((address) => normalizeSuiAddress(address)))];
+    const decisions = await getVettingDecisions(VETTING_TABLE_ID);
+    const statuses = {};
+
+    for (let i = 0; i < uniqueAddresses.length; i += chunkSize) {
+        const addresses = uniqueAddresses.slice(i, i + chunkSize);
+
+        const tx = new Transaction();
+        for (const applicantAddress of addresses) {
+            tx.moveCall({
+                target: `${PACKAGE_ID}::vetting::status_of_vetting`,
+                arguments: [
+                    tx.object(VETTING_TABLE_ID),
+                    tx.pure.address(applicantAddress),
+                ],
+            });
+        }
+
+        let result;
+        try {
+            result = await client.devInspectTransactionBlock({
+                transactionBlock: tx,
+                sender: addresses[0],
+            });
+        } catch (error) {
+            console.error('Error querying bulk status:', error.message);
+            for (const applicantAddress of addresses) {
+                statuses[applicantAddress] = buildStatusError(applicantAddress, 'rpc_unavailable', 'Could not reach the Sui fullnode', { error: error.message });
+            }
+            continue;
+        }
+
+        // One aborting call fails the whole inspected block, so fall back to
+        // querying that chunk address by address to isolate the failure.
+        if (result.effects.status.status !== 'success') {
+            console.warn('Bulk status inspection failed, querying chunk individually:', result.effects.status.error);
+            for (const applicantAddress of addresses) {
+                statuses[applicantAddress] = await statusOfVetting(applicantAddress, { vettingTable: VETTING_TABLE_ID });
+            }
+            continue;
+        }
+
+        addresses.forEach((applicantAddress, index) => {
+            statuses[applicantAddress] = interpretStatusResult(
+                applicantAddress,
+                result.effects.status,
+                result.results?.[index],
+                decisions[applicantAddress] || null
+            );
+        });
+    }
+
+    const errorCount = Object.values(statuses).filter((entry) => entry.status === 'error').length;
+
+    return {
+        success: errorCount === 0,
+        vettingTableId: VETTING_TABLE_ID,
+        count: uniqueAddresses.length,
+        errorCount,
+        statuses
+    };
+}
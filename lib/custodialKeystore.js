@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import { encodeSuiPrivateKey } from '@mysten/sui/cryptography';
+import * as dotenv from 'dotenv';
+import { readJson, updateJson } from './jsonStore.js';
+import { keypairFromSuiPrivateKey } from './keypairs.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const KEYSTORE_FILE = 'custodial-keystore.json';
+
+function keystoreError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// KEYSTORE_MASTER_KEY is 32 bytes, given as 64 hex characters or base64
+function getMasterKey() {
+    const configured = process.env.KEYSTORE_MASTER_KEY;
+    if (!configured) {
+        throw new Error('KEYSTORE_MASTER_KEY not set in .env file');
+    }
+
+    const key = /^[0-9a-fA-F]{64}$/.test(configured)
+        ? Buffer.from(configured, 'hex')
+        : Buffer.from(configured, 'base64');
+    if (key.length !== 32) {
+        throw new Error('KEYSTORE_MASTER_KEY must be 32 bytes (64 hex characters or base64)');
+    }
+    return key;
+}
+
+// The user ID and address are bound in as associated data, so a ciphertext can't be moved to another record
+function encryptSecret(secret, userId, address) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getMasterKey(), iv);
+    cipher.setAAD(Buffer.from(`${userId}:${address}`));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(secret), 'utf8'), cipher.final()]);
+
+    return {
+        algorithm: 'aes-256-gcm',
+        iv: iv.toString('base64'),
+        ciphertext: ciphertext.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64')
+    };
+}
+
+function decryptSecret(record) {
+    const { iv, ciphertext, tag } = record.encrypted;
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getMasterKey(), Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(`${record.userId}:${record.address}`));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    try {
+        const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+        return JSON.parse(plaintext.toString('utf8'));
+    } catch {
+        throw new Error(`Could not decrypt the key for ${record.userId}; check KEYSTORE_MASTER_KEY`);
+    }
+}
+
+function stripSecret(entry) {
+    const { encrypted, ...publicEntry } = entry;
+    return publicEntry;
+}
+
+function toPublicRecord(record) {
+    const publicRecord = stripSecret(record);
+    if (record.pendingRotation) {
+        publicRecord.pendingRotation = stripSecret(record.pendingRotation);
+    }
+    if (record.retiredKeys) {
+        publicRecord.retiredKeys = record.retiredKeys.map(stripSecret);
+    }
+    return publicRecord;
+}
+
+// Stores a new custodial key from a wallet returned by createCustodialWallet (hex privateKey).
+// The key is kept in the Bech32 "suiprivkey..." form, which records its scheme.
+export async function storeCustodialKey(userId, wallet, source) {
+    const { address, publicKey, mnemonic = null, keyScheme = 'ED25519' } = wallet;
+    const privateKey = encodeSuiPrivateKey(Buffer.from(wallet.privateKey, 'hex'), keyScheme);
+
+    // Encrypt before taking the store lock so a missing master key fails without touching the file
+    const encrypted = encryptSecret({ privateKey, mnemonic }, userId, address);
+
+    return updateJson(KEYSTORE_FILE, {}, (keystore) => {
+        if (keystore[userId]) {
+            throw keystoreError(`A custodial wallet already exists for user ${userId}`, 409);
+        }
+
+        const record = {
+            userId,
+            address,
+            publicKey,
+            keyScheme,
+            source,
+            status: 'active',
+            createdAt: new Date().toISOString(),
+            exports: [],
+            encrypted
+        };
+        keystore[userId] = record;
+        return toPublicRecord(record);
+    });
+}
+
+async function getRecord(userId) {
+    const keystore = await readJson(KEYSTORE_FILE, {});
+    const record = keystore[userId];
+    if (!record) {
+        throw keystoreError(`No custodial wallet for user ${userId}`, 404);
+    }
+    return record;
+}
+
+export async function getCustodialWallet(userId) {
+    return toPublicRecord(await getRecord(userId));
+}
+
+// Like getCustodialWallet, but answers null for unknown users
+export async function findCustodialWallet(userId) {
+    const keystore = await readJson(KEYSTORE_FILE, {});
+    return keystore[userId] ? toPublicRecord(keystore[userId]) : null;
+}
+
+// Keypair used by the server to sign for a custodial user
+export async function getCustodialKeypair(userId) {
+    const record = await getRecord(userId);
+    if (record.status !== 'active') {
+        throw keystoreError(`The custodial wallet for user ${userId} is ${record.status}`, 409);
+    }
+
+    const { privateKey } = decryptSecret(record);
+    return keypairFromSuiPrivateKey(privateKey);
+}
+
+// Export tokens are separate from admin tokens; with KEY_EXPORT_TOKENS unset, export is disabled
+export function isKeyExportAuthorized(token) {
+    const exportTokens = (process.env.KEY_EXPORT_TOKENS || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+    if (!token) {
+        return false;
+    }
+
+    const given = crypto.createHash('sha256').update(token).digest();
+    return exportTokens.some((entry) => crypto.timingSafeEqual(given, crypto.createHash('sha256').update(entry).digest()));
+}
+
+// Returns the decrypted key material and records who exported it and why
+export async function exportCustodialKey(userId, { reason, requestedBy = null }) {
+    const record = await getRecord(userId);
+    const secret = decryptSecret(record);
+
+    await updateJson(KEYSTORE_FILE, {}, (keystore) => {
+        keystore[userId].exports.push({
+            exportedAt: new Date().toISOString(),
+            reason,
+            requestedBy
+        });
+    });
+
+    return {
+        userId,
+        address: record.address,
+        privateKey: secret.privateKey,
+        mnemonic: secret.mnemonic
+    };
+}
+
+// Rotation step 1: keep the replacement key next to the active one before any assets move,
+// so a failed or interrupted migration never leaves assets at an address we hold no key for.
+// Retrying a rotation reuses the pending key instead of creating another.
+export async function beginKeyRotation(userId, createWallet, source) {
+    const record = await getRecord(userId);
+    if (record.status !== 'active') {
+        throw keystoreError(`The custodial wallet for user ${userId} is ${record.status}`, 409);
+    }
+    if (record.pendingRotation) {
+        return { ...stripSecret(record.pendingRotation), resumed: true };
+    }
+
+    const wallet = await createWallet();
+    const keyScheme = wallet.keyScheme || 'ED25519';
+    const privateKey = encodeSuiPrivateKey(Buffer.from(wallet.privateKey, 'hex'), keyScheme);
+    const pending = {
+        address: wallet.address,
+        publicKey: wallet.publicKey,
+        keyScheme,
+        source,
+        createdAt: new Date().toISOString(),
+        encrypted: encryptSecret({ privateKey, mnemonic: wallet.mnemonic ?? null }, userId, wallet.address)
+    };
+
+    return updateJson(KEYSTORE_FILE, {}, (keystore) => {
+        const current = keystore[userId];
+        if (current.pendingRotation) {
+            return { ...stripSecret(current.pendingRotation), resumed: true };
+        }
+        current.pendingRotation = pending;
+        return { ...stripSecret(pending), resumed: false };
+    });
+}
+
+// Rotation step 2: in one write, the pending key becomes active and the old key is retired.
+// Retired keys stay encrypted in the record but can no longer sign.
+export async function completeKeyRotation(userId, transactionDigests) {
+    return updateJson(KEYSTORE_FILE, {}, (keystore) => {
+        const current = keystore[userId];
+        if (!current?.pendingRotation) {
+            throw keystoreError(`No key rotation in progress for user ${userId}`, 409);
+        }
+
+        const { pendingRotation, retiredKeys = [], ...oldKey } = current;
+        const retiredAt = new Date().toISOString();
+        keystore[userId] = {
+            userId,
+            address: pendingRotation.address,
+            publicKey: pendingRotation.publicKey,
+            keyScheme: pendingRotation.keyScheme || 'ED25519',
+            source: pendingRotation.source,
+            status: 'active',
+            createdAt: pendingRotation.createdAt,
+            exports: [],
+            encrypted: pendingRotation.encrypted,
+            retiredKeys: [...retiredKeys, { ...oldKey, status: 'retired', retiredAt, rotationDigests: transactionDigests }]
+        };
+        return toPublicRecord(keystore[userId]);
+    });
+}
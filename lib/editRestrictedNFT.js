@@ -0,0 +1,88 @@
+import { Transaction } from '@mysten/sui/transactions';
+import { SuiClient } from '@mysten/sui/client';
+import { isValidSuiAddress } from '@mysten/sui/utils';
+import { executeAdminTransaction, registerAdminOperation } from './adminTransactions.js';
+
+const GAS_BUDGET = 10000000;
+
+async function finalizeRestrictedEdit(result, { nftObjectId, newName, newCoinId, braavVersion }) {
+    if (result.effects?.status.status !== 'success') {
+        throw new Error(`Transaction failed: ${result.effects?.status.error || JSON.stringify(result, null, 2)}`);
+    }
+
+    console.log(`✅ Updated RestrictedNFT ${nftObjectId} with name: ${newName}, coin_id: ${newCoinId}`);
+
+    return {
+        success: true,
+        transactionDigest: result.digest,
+        restrictedNftObjectId: nftObjectId,
+        newName,
+        newCoinId,
+        braavVersion,
+        gasUsed: result.effects?.gasUsed,
+        fullResult: result
+    };
+}
+
+// Registered here so the API server, which loads this module, can settle restricted edits
+// that were signed through /api/admin-transactions
+registerAdminOperation('restricted_nft.edit', finalizeRestrictedEdit);
+
+export async function editRestrictedNFT(signer, packageId, suiNetwork, nftObjectId, creatorCapId, newName, newCoinId, braavVersion) {
+    try {
+        if (!packageId) throw new Error('PACKAGE_ID not set');
+        if (!suiNetwork) throw new Error('SUI_NETWORK not set');
+        if (!nftObjectId) throw new Error('NFT_OBJECT_ID not set');
+        if (!creatorCapId) throw new Error('CREATOR_CAP_ID not set');
+        if (!newName) throw new Error('newName is required');
+        if (!newCoinId) throw new Error('newCoinId is required');
+        if (!braavVersion) throw new Error('braavVersion is required');
+        if (!isValidSuiAddress(nftObjectId)) throw new Error(`Invalid NFT object ID: ${nftObjectId}`);
+        if (!isValidSuiAddress(creatorCapId)) throw new Error(`Invalid CreatorCap ID: ${creatorCapId}`);
+
+        const client = new SuiClient({ url: suiNetwork });
+
+        const nftType = `${packageId}::xoa::${braavVersion}`;
+
+        console.log('🔍 Editing Restricted NFT Parameters:');
+        console.log('  Package ID:', packageId);
+        console.log('  NFT Object ID:', nftObjectId);
+        console.log('  Creator Cap ID:', creatorCapId);
+        console.log('  NFT Type:', nftType);
+        console.log('  New Name:', newName);
+        console.log('  New Coin ID:', newCoinId);
+
+        const tx = new Transaction();
+
+        // Update RestrictedNFT name and coin_id
+        tx.moveCall({
+            target: `${packageId}::braav_public::update_restricted_nft`,
+            arguments: [
+                tx.object(creatorCapId), // CreatorCap
+                tx.object(nftObjectId), // RestrictedNFT object (shared)
+                tx.pure.string(newName), // new name
+                tx.pure.string(newCoinId), // new coin_id
+            ],
+            typeArguments: [nftType],
+        });
+
+        tx.setGasBudget(GAS_BUDGET);
+
+        return await executeAdminTransaction(tx, {
+            operation: 'restricted_nft.edit',
+            params: { nftObjectId, newName, newCoinId, braavVersion },
+            options: {
+                showObjectChanges: true,
+                showEffects: true,
+                showEvents: true,
+                showBalanceChanges: true,
+                showInput: true,
+            },
+            signer,
+            client,
+        });
+    } catch (error) {
+        console.error('❌ Error updating RestrictedNFT:', error.message);
+        throw error;
+    }
+}
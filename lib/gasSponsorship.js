@@ -0,0 +1,306 @@
+import crypto from 'crypto';
+import { Transaction } from '@mysten/sui/transactions';
+import { normalizeSuiAddress, normalizeSuiObjectId } from '@mysten/sui/utils';
+import * as dotenv from 'dotenv';
+import { readJson, updateJson } from './jsonStore.js';
+import { parsePrivateKey } from './keypairs.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const SPONSORSHIPS_FILE = 'sponsorships.json';
+const GAS_LEASES_FILE = 'sponsor-gas-leases.json';
+
+function getSponsorshipConfig() {
+    return {
+        maxPerAddress: Number(process.env.SPONSOR_MAX_PER_ADDRESS || 1),
+        dailyLimit: Number(process.env.SPONSOR_DAILY_LIMIT || 50),
+        gasBudget: BigInt(process.env.SPONSOR_GAS_BUDGET || 10000000),
+        leaseSeconds: Number(process.env.SPONSOR_LEASE_SECONDS || 300),
+        maxLeasesPerAddress: Number(process.env.SPONSOR_MAX_LEASES_PER_ADDRESS || 1)
+    };
+}
+
+function sponsorshipError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function limitError(message) {
+    return sponsorshipError(message, 429);
+}
+
+// SPONSOR_PRIVATE_KEY ("suiprivkey1..." or hex in SPONSOR_KEY_SCHEME) pays gas for sponsored transactions.
+// It must not be the admin key: admin transactions would move the same coins and invalidate
+// transactions applicants have already signed.
+export async function getSponsorKeypair() {
+    const privateKey = process.env.SPONSOR_PRIVATE_KEY;
+    if (!privateKey) {
+        throw sponsorshipError('Gas sponsorship is not available: SPONSOR_PRIVATE_KEY not configured in environment variables', 503);
+    }
+    return parsePrivateKey(privateKey, process.env.SPONSOR_KEY_SCHEME || 'ED25519');
+}
+
+function countUsage(entries, address) {
+    const today = new Date().toISOString().slice(0, 10);
+    return {
+        forAddress: entries.filter((entry) => entry.address === address).length,
+        today: entries.filter((entry) => entry.createdAt.slice(0, 10) === today).length
+    };
+}
+
+export async function assertSponsorshipAllowed(address) {
+    const { maxPerAddress, dailyLimit } = getSponsorshipConfig();
+    const { entries } = await readJson(SPONSORSHIPS_FILE, { entries: [] });
+    const usage = countUsage(entries, normalizeSuiAddress(address));
+
+    if (usage.forAddress >= maxPerAddress) {
+        throw limitError(`Sponsorship limit of ${maxPerAddress} per address reached for ${address}`);
+    }
+    if (usage.today >= dailyLimit) {
+        throw limitError(`Daily sponsorship limit of ${dailyLimit} reached`);
+    }
+}
+
+// Checks the limits and claims a slot in one step, so concurrent requests can't both pass the check
+async function reserveSponsorship(address) {
+    const { maxPerAddress, dailyLimit } = getSponsorshipConfig();
+    const normalizedAddress = normalizeSuiAddress(address);
+
+    return updateJson(SPONSORSHIPS_FILE, { entries: [] }, (ledger) => {
+        const usage = countUsage(ledger.entries, normalizedAddress);
+        if (usage.forAddress >= maxPerAddress) {
+            throw limitError(`Sponsorship limit of ${maxPerAddress} per address reached for ${address}`);
+        }
+        if (usage.today >= dailyLimit) {
+            throw limitError(`Daily sponsorship limit of ${dailyLimit} reached`);
+        }
+
+        const entry = {
+            id: crypto.randomUUID(),
+            address: normalizedAddress,
+            status: 'reserved',
+            createdAt: new Date().toISOString(),
+            transactionDigest: null,
+            gasUsed: null
+        };
+        ledger.entries.push(entry);
+        return entry.id;
+    });
+}
+
+async function completeSponsorship(id, transactionDigest, gasUsed) {
+    return updateJson(SPONSORSHIPS_FILE, { entries: [] }, (ledger) => {
+        const entry = ledger.entries.find((candidate) => candidate.id === id);
+        if (entry) {
+            entry.status = 'executed';
+            entry.transactionDigest = transactionDigest;
+            entry.gasUsed = gasUsed ?? null;
+        }
+    });
+}
+
+// The transaction was submitted but no answer came back, so it may have spent sponsor gas.
+// Unknown entries keep counting against the limits; only reserved ones that never went out are released.
+async function markSponsorshipUnknown(id, transactionDigest) {
+    return updateJson(SPONSORSHIPS_FILE, { entries: [] }, (ledger) => {
+        const entry = ledger.entries.find((candidate) => candidate.id === id);
+        if (entry) {
+            entry.status = 'unknown';
+            entry.transactionDigest = transactionDigest;
+        }
+    });
+}
+
+async function releaseSponsorship(id) {
+    return updateJson(SPONSORSHIPS_FILE, { entries: [] }, (ledger) => {
+        ledger.entries = ledger.entries.filter((candidate) => candidate.id !== id);
+    });
+}
+
+function isLeaseExpired(lease) {
+    return Date.parse(lease.expiresAt) <= Date.now();
+}
+
+// Every SUI coin the sponsor owns; getCoins answers one page at a time
+async function listSponsorCoins(sponsorAddress, client) {
+    const coins = [];
+    let cursor = null;
+    do {
+        const page = await client.getCoins({ owner: sponsorAddress, coinType: '0x2::sui::SUI', cursor });
+        coins.push(...page.data);
+        cursor = page.hasNextPage ? page.nextCursor : null;
+    } while (cursor);
+    return coins;
+}
+
+// Each build pays with a gas coin of its own. Two transactions spending the same coin version
+// equivocate and lock the coin until the epoch ends, so a coin is leased to one transaction
+// until it executes or the lease (SPONSOR_LEASE_SECONDS) runs out.
+// Builds cost nothing to ask for, so leases not yet submitted count against the sponsorship
+// limits as if they had executed, and each address may hold SPONSOR_MAX_LEASES_PER_ADDRESS at once.
+async function leaseGasCoin(sponsorAddress, senderAddress, client) {
+    const { gasBudget, leaseSeconds, maxPerAddress, dailyLimit, maxLeasesPerAddress } = getSponsorshipConfig();
+    const address = normalizeSuiAddress(senderAddress);
+
+    const usable = (await listSponsorCoins(sponsorAddress, client)).filter((coin) => BigInt(coin.balance) >= gasBudget);
+    if (usable.length === 0) {
+        throw sponsorshipError(`Sponsor wallet ${sponsorAddress} has no coin holding the ${gasBudget} MIST gas budget`, 503);
+    }
+
+    const { entries } = await readJson(SPONSORSHIPS_FILE, { entries: [] });
+    const usage = countUsage(entries, address);
+
+    return updateJson(GAS_LEASES_FILE, { leases: {} }, (store) => {
+        for (const [coinId, lease] of Object.entries(store.leases)) {
+            if (isLeaseExpired(lease)) {
+                delete store.leases[coinId];
+            }
+        }
+
+        const unsubmitted = Object.values(store.leases).filter((lease) => lease.status === 'reserved');
+        const forAddress = unsubmitted.filter((lease) => lease.address === address).length;
+        if (forAddress >= maxLeasesPerAddress) {
+            throw limitError(`${address} already has a sponsored transaction waiting to be signed; submit it or build again after SPONSOR_LEASE_SECONDS`);
+        }
+        if (usage.forAddress + forAddress >= maxPerAddress) {
+            throw limitError(`Sponsorship limit of ${maxPerAddress} per address reached for ${address}`);
+        }
+        if (usage.today + unsubmitted.length >= dailyLimit) {
+            throw limitError(`Daily sponsorship limit of ${dailyLimit} reached`);
+        }
+
+        const coin = usable.find((candidate) => !store.leases[normalizeSuiObjectId(candidate.coinObjectId)]);
+        if (!coin) {
+            throw sponsorshipError('Every sponsor gas coin is in use; try again shortly or split the sponsor balance into more coins', 503);
+        }
+
+        const lease = {
+            id: crypto.randomUUID(),
+            address,
+            status: 'reserved',
+            transactionDigest: null,
+            leasedAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + leaseSeconds * 1000).toISOString()
+        };
+        store.leases[normalizeSuiObjectId(coin.coinObjectId)] = lease;
+        return { coin, leaseId: lease.id };
+    });
+}
+
+// Only drops the lease it was given: after expiry the coin may already be leased to another build
+function releaseGasCoin(coinId, leaseId) {
+    return updateJson(GAS_LEASES_FILE, { leases: {} }, (store) => {
+        if (store.leases[coinId]?.id === leaseId) {
+            delete store.leases[coinId];
+        }
+    });
+}
+
+// Only the transaction the coin was leased for may spend it, and only once
+function claimGasCoin(transactionData, transactionDigest) {
+    const payment = transactionData.gasData.payment || [];
+    const coinId = payment.length === 1 ? normalizeSuiObjectId(payment[0].objectId) : null;
+
+    return updateJson(GAS_LEASES_FILE, { leases: {} }, (store) => {
+        const lease = coinId && store.leases[coinId];
+        if (!lease || lease.status !== 'reserved' || lease.transactionDigest !== transactionDigest || isLeaseExpired(lease)) {
+            throw sponsorshipError('This sponsored transaction has expired or was already submitted; build it again', 409);
+        }
+        lease.status = 'executing';
+        return { coinId, leaseId: lease.id };
+    });
+}
+
+// Turns the transaction into a sponsored one: the applicant stays the sender,
+// while gas is paid from a leased sponsor coin and capped at SPONSOR_GAS_BUDGET.
+export async function buildSponsoredTransaction(tx, senderAddress, client) {
+    const sponsorAddress = (await getSponsorKeypair()).toSuiAddress();
+    const { gasBudget } = getSponsorshipConfig();
+    const { coin, leaseId } = await leaseGasCoin(sponsorAddress, senderAddress, client);
+    const coinId = normalizeSuiObjectId(coin.coinObjectId);
+
+    try {
+        tx.setSender(senderAddress);
+        tx.setGasOwner(sponsorAddress);
+        tx.setGasBudget(gasBudget);
+        tx.setGasPayment([{
+            objectId: coin.coinObjectId,
+            version: coin.version,
+            digest: coin.digest,
+        }]);
+
+        const transactionBytes = await tx.build({ client });
+        const transactionDigest = await Transaction.from(transactionBytes).getDigest();
+        await updateJson(GAS_LEASES_FILE, { leases: {} }, (store) => {
+            if (store.leases[coinId]?.id !== leaseId) {
+                throw sponsorshipError('The sponsor gas coin lease ran out while building; try again', 503);
+            }
+            store.leases[coinId].transactionDigest = transactionDigest;
+        });
+        return transactionBytes;
+    } catch (error) {
+        await releaseGasCoin(coinId, leaseId);
+        throw error;
+    }
+}
+
+export async function isSponsoredBySponsor(transactionData) {
+    if (!process.env.SPONSOR_PRIVATE_KEY) {
+        return false;
+    }
+    const sponsorAddress = (await getSponsorKeypair()).toSuiAddress();
+    return Boolean(transactionData.gasData.owner) &&
+        normalizeSuiAddress(transactionData.gasData.owner) === normalizeSuiAddress(sponsorAddress) &&
+        normalizeSuiAddress(transactionData.sender) !== normalizeSuiAddress(sponsorAddress);
+}
+
+// Co-signs as gas owner and executes with both signatures, recording the sponsorship in the ledger
+export async function executeSponsoredTransaction(client, transactionBytes, transactionData, senderSignature) {
+    const { gasBudget } = getSponsorshipConfig();
+    if (BigInt(transactionData.gasData.budget) > gasBudget) {
+        const error = new Error(`Gas budget exceeds the sponsorship cap of ${gasBudget}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const transactionDigest = await Transaction.from(transactionBytes).getDigest();
+    const { coinId, leaseId } = await claimGasCoin(transactionData, transactionDigest);
+    let reservationId;
+    let sponsorSignature;
+    try {
+        reservationId = await reserveSponsorship(transactionData.sender);
+        ({ signature: sponsorSignature } = await (await getSponsorKeypair()).signTransaction(transactionBytes));
+    } catch (error) {
+        // Nothing was submitted, so neither the slot nor the coin was used
+        if (reservationId) {
+            await releaseSponsorship(reservationId);
+        }
+        await releaseGasCoin(coinId, leaseId);
+        throw error;
+    }
+
+    let result;
+    try {
+        result = await client.executeTransactionBlock({
+            transactionBlock: transactionBytes,
+            signature: [senderSignature, sponsorSignature],
+            options: {
+                showEffects: true,
+                showEvents: true
+            },
+        });
+    } catch (error) {
+        // The transaction may still be in flight, so the coin stays leased until the lease runs out
+        // and the sponsorship keeps counting against the limits
+        await markSponsorshipUnknown(reservationId, transactionDigest);
+        error.outcomeUnknown = true;
+        error.transactionDigest = transactionDigest;
+        throw error;
+    }
+
+    await completeSponsorship(reservationId, result.digest, result.effects?.gasUsed);
+    await releaseGasCoin(coinId, leaseId);
+    return result;
+}
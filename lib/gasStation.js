@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import { SuiClient } from '@mysten/sui/client';
+import * as dotenv from 'dotenv';
+import { getCustodialWallet } from './custodialKeystore.js';
+import { readJson, updateJson } from './jsonStore.js';
+import { getTreasurySigner, mistToSui, transferSui } from '../transferSuiTokens.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const LEDGER_FILE = 'gas-station-ledger.json';
+
+// A pending top-up older than this was most likely cut off by a restart and no longer blocks new ones
+const PENDING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Amounts are in MIST. Defaults: top up below 0.05 SUI to 0.2 SUI, at most 1 SUI per user
+// and 20 SUI in total per UTC day.
+export function getGasStationConfig() {
+    const config = {
+        autoTopUp: process.env.GAS_STATION_AUTO_TOP_UP === 'true',
+        minBalance: BigInt(process.env.GAS_STATION_MIN_BALANCE || 50000000),
+        targetBalance: BigInt(process.env.GAS_STATION_TARGET_BALANCE || 200000000),
+        userDailyCap: BigInt(process.env.GAS_STATION_USER_DAILY_CAP || 1000000000),
+        dailyBudget: BigInt(process.env.GAS_STATION_DAILY_BUDGET || 20000000000)
+    };
+    if (config.targetBalance <= config.minBalance) {
+        throw new Error('GAS_STATION_TARGET_BALANCE must be greater than GAS_STATION_MIN_BALANCE');
+    }
+    return config;
+}
+
+function gasStationError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// Failed top-ups moved nothing, so they don't count against the caps. Pending and unknown
+// ones (the transfer was submitted but no answer came back) may have, so they do.
+function sumToday(entries, userId = null) {
+    const day = today();
+    return entries
+        .filter((entry) => entry.status !== 'failed' && entry.createdAt.slice(0, 10) === day)
+        .filter((entry) => userId === null || entry.userId === userId)
+        .reduce((sum, entry) => sum + BigInt(entry.amountMist), 0n);
+}
+
+// Checks both caps and records the top-up as pending in one step, so concurrent
+// requests can't overspend. A top-up already running for the user is returned instead.
+async function reserveTopUp(userId, address, amount, balanceBefore, trigger) {
+    const { userDailyCap, dailyBudget, targetBalance } = getGasStationConfig();
+
+    return updateJson(LEDGER_FILE, { entries: [] }, (ledger) => {
+        const running = ledger.entries.find((entry) => entry.userId === userId &&
+            entry.status === 'pending' &&
+            Date.now() - Date.parse(entry.createdAt) < PENDING_TIMEOUT_MS);
+        if (running) {
+            return { entry: running, reserved: false };
+        }
+
+        const userSpent = sumToday(ledger.entries, userId);
+        if (userSpent + amount > userDailyCap) {
+            throw gasStationError(`Gas station cap reached for user ${userId}: ${userSpent} of ${userDailyCap} MIST used today`, 429);
+        }
+        const spent = sumToday(ledger.entries);
+        if (spent + amount > dailyBudget) {
+            throw gasStationError(`Gas station daily budget reached: ${spent} of ${dailyBudget} MIST used today`, 429);
+        }
+
+        const entry = {
+            id: crypto.randomUUID(),
+            userId,
+            address,
+            amountMist: amount.toString(),
+            balanceBefore: balanceBefore.toString(),
+            targetBalance: targetBalance.toString(),
+            trigger,
+            status: 'pending',
+            transactionDigest: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            completedAt: null
+        };
+        ledger.entries.push(entry);
+        return { entry: { ...entry }, reserved: true };
+    });
+}
+
+function settleTopUp(id, changes) {
+    return updateJson(LEDGER_FILE, { entries: [] }, (ledger) => {
+        const entry = ledger.entries.find((candidate) => candidate.id === id);
+        Object.assign(entry, changes, { completedAt: new Date().toISOString() });
+        return { ...entry };
+    });
+}
+
+// Brings a custodial user's address back up to the target balance when it has fallen below the
+// minimum. trigger records why ("manual" or the operation about to run) in the ledger.
+export async function topUpUser(userId, { trigger = 'manual', client = null } = {}) {
+    const { minBalance, targetBalance } = getGasStationConfig();
+    const wallet = await getCustodialWallet(userId);
+    if (wallet.status !== 'active') {
+        throw gasStationError(`The custodial wallet for user ${userId} is ${wallet.status}`, 409);
+    }
+
+    const suiClient = client || new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' });
+    const { totalBalance } = await suiClient.getBalance({ owner: wallet.address, coinType: '0x2::sui::SUI' });
+    const balance = BigInt(totalBalance);
+
+    if (balance >= minBalance) {
+        return { success: true, toppedUp: false, userId, address: wallet.address, balance: totalBalance, message: 'Balance is above the minimum' };
+    }
+
+    const { entry, reserved } = await reserveTopUp(userId, wallet.address, targetBalance - balance, balance, trigger);
+    if (!reserved) {
+        return { success: true, toppedUp: false, userId, address: wallet.address, balance: totalBalance, topUp: entry, message: 'A top-up is already in progress' };
+    }
+
+    try {
+        const result = await transferSui(wallet.address, BigInt(entry.amountMist), { client: suiClient });
+        const settled = await settleTopUp(entry.id, { status: 'completed', transactionDigest: result.digest });
+        return {
+            success: true,
+            toppedUp: true,
+            userId,
+            address: wallet.address,
+            balance: (balance + BigInt(entry.amountMist)).toString(),
+            topUp: settled,
+            balanceChanges: result.balanceChanges,
+            message: `Topped up ${mistToSui(entry.amountMist)} SUI`
+        };
+    } catch (error) {
+        await settleTopUp(entry.id, {
+            status: error.outcomeUnknown ? 'unknown' : 'failed',
+            transactionDigest: error.transactionDigest ?? null,
+            error: error.message
+        });
+        throw error;
+    }
+}
+
+// Called before the server signs for a custodial user. With GAS_STATION_AUTO_TOP_UP=true the
+// address is topped up first; a failed top-up is logged and the operation goes ahead anyway.
+export async function ensureGasForOperation(userId, operation, { client = null } = {}) {
+    if (process.env.GAS_STATION_AUTO_TOP_UP !== 'true') {
+        return null;
+    }
+    try {
+        return await topUpUser(userId, { trigger: operation, client });
+    } catch (error) {
+        console.warn(`Gas station could not top up user ${userId} before ${operation}:`, error.message);
+        return null;
+    }
+}
+
+export async function listTopUps({ userId = null, status = null, limit = 100 } = {}) {
+    const { entries } = await readJson(LEDGER_FILE, { entries: [] });
+    return entries
+        .filter((entry) => !userId || entry.userId === userId)
+        .filter((entry) => !status || entry.status === status)
+        .slice(-limit)
+        .reverse();
+}
+
+export async function describeGasStation() {
+    const config = getGasStationConfig();
+    const { entries } = await readJson(LEDGER_FILE, { entries: [] });
+    const spentToday = sumToday(entries);
+
+    return {
+        treasuryAddress: (await getTreasurySigner()).toSuiAddress(),
+        autoTopUp: config.autoTopUp,
+        minBalance: config.minBalance.toString(),
+        targetBalance: config.targetBalance.toString(),
+        userDailyCap: config.userDailyCap.toString(),
+        dailyBudget: config.dailyBudget.toString(),
+        spentToday: spentToday.toString(),
+        remainingToday: (config.dailyBudget > spentToday ? config.dailyBudget - spentToday : 0n).toString()
+    };
+}
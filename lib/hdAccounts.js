@@ -0,0 +1,109 @@
+import * as dotenv from 'dotenv';
+import { readJson, updateJson } from './jsonStore.js';
+import { createHdCustodialWallet } from '../createCustodialWallet.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const ACCOUNTS_FILE = 'hd-accounts.json';
+
+// Index 0 is the master mnemonic's own default Sui account, so user accounts start at 1
+const FIRST_USER_INDEX = 1;
+
+// Returns the user's account index and key scheme, assigning the next free index on first use.
+// A user keeps their index and scheme forever, so retrying a failed wallet creation reuses them.
+export async function assignAccountIndex(userId, keyScheme = 'ED25519') {
+    return updateJson(ACCOUNTS_FILE, { nextIndex: FIRST_USER_INDEX, accounts: {} }, (store) => {
+        const existing = store.accounts[userId];
+        if (existing) {
+            return { index: existing.index, keyScheme: existing.keyScheme || 'ED25519' };
+        }
+
+        const index = store.nextIndex;
+        store.accounts[userId] = { index, keyScheme, assignedAt: new Date().toISOString() };
+        store.nextIndex = index + 1;
+        return { index, keyScheme };
+    });
+}
+
+// Derives the wallet for a user, assigning an index if they don't have one yet.
+// The master mnemonic is checked first so a misconfigured server never hands out indexes.
+export async function deriveUserAccount(userId, { keyScheme = 'ED25519' } = {}) {
+    if (!process.env.HD_MASTER_MNEMONIC) {
+        throw new Error('HD_MASTER_MNEMONIC not set in .env');
+    }
+
+    const account = await assignAccountIndex(userId, keyScheme);
+    return createHdCustodialWallet(account.index, { keyScheme: account.keyScheme });
+}
+
+// Addresses are re-derived from the master mnemonic rather than read back, so the listing doubles as an audit
+export async function listHdAccounts({ offset = 0, limit = 100 } = {}) {
+    const { nextIndex, accounts } = await readJson(ACCOUNTS_FILE, { nextIndex: FIRST_USER_INDEX, accounts: {} });
+    const entries = Object.entries(accounts)
+        .sort(([, a], [, b]) => a.index - b.index)
+        .slice(offset, offset + limit);
+
+    const derived = [];
+    for (const [userId, entry] of entries) {
+        const keyScheme = entry.keyScheme || 'ED25519';
+        const wallet = await createHdCustodialWallet(entry.index, { keyScheme });
+        derived.push({
+            userId,
+            index: entry.index,
+            keyScheme,
+            derivationPath: wallet.derivationPath,
+            address: wallet.address,
+            assignedAt: entry.assignedAt
+        });
+    }
+
+    return {
+        total: Object.keys(accounts).length,
+        nextIndex,
+        accounts: derived
+    };
+}
+
+function promotePendingIndex(entry) {
+    entry.previousIndexes = [...(entry.previousIndexes || []), entry.index];
+    entry.index = entry.pendingIndex;
+    entry.assignedAt = new Date().toISOString();
+    delete entry.pendingIndex;
+}
+
+// Key rotation for an HD user moves them to a fresh index; the old one is kept in previousIndexes.
+// The keystore switches keys before the index is recorded here, so a pendingIndex that already
+// derives to the user's active address belongs to a rotation that stopped in between: it is
+// recorded first, and the new rotation gets the next free index instead of the active one.
+export async function deriveRotationAccount(userId, activeAddress) {
+    const account = await updateJson(ACCOUNTS_FILE, { nextIndex: FIRST_USER_INDEX, accounts: {} }, async (store) => {
+        const entry = store.accounts[userId];
+        if (!entry) {
+            throw new Error(`No HD account index assigned to user ${userId}`);
+        }
+        if (entry.pendingIndex !== undefined) {
+            const pendingWallet = await createHdCustodialWallet(entry.pendingIndex, { keyScheme: entry.keyScheme || 'ED25519' });
+            if (pendingWallet.address === activeAddress) {
+                promotePendingIndex(entry);
+            }
+        }
+        if (entry.pendingIndex === undefined) {
+            entry.pendingIndex = store.nextIndex;
+            store.nextIndex += 1;
+        }
+        return { index: entry.pendingIndex, keyScheme: entry.keyScheme || 'ED25519' };
+    });
+    return createHdCustodialWallet(account.index, { keyScheme: account.keyScheme });
+}
+
+export async function completeAccountRotation(userId) {
+    return updateJson(ACCOUNTS_FILE, { nextIndex: FIRST_USER_INDEX, accounts: {} }, (store) => {
+        const entry = store.accounts[userId];
+        if (entry?.pendingIndex === undefined) {
+            return entry?.index ?? null;
+        }
+        promotePendingIndex(entry);
+        return entry.index;
+    });
+}
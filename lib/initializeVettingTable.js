@@ -1,21 +1,43 @@
-import { SuiClient } from '@mysten/sui/client';
-import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519';
 import { Transaction } from '@mysten/sui/transactions';
 import * as dotenv from 'dotenv';
+import { executeAdminTransaction, registerAdminOperation } from './adminTransactions.js';
+import { assertVettingTableNameAvailable, registerVettingTable } from './vettingTables.js';
 
 // Load environment variables
 dotenv.config();
 
-export async function initializeVettingTable() {
+async function finalizeVettingTable(result, { name }) {
+    const vettingTableChange = result.objectChanges?.find(
+        (change) =>
+            change.type === 'created' && change.objectType.includes('VettingTable')
+    );
+
+    const vettingTableId = vettingTableChange?.objectId;
+    if (!vettingTableId) throw new Error('VettingTable object not found');
+
+    const registered = name ? await registerVettingTable(name, vettingTableId, result.digest) : null;
+
+    return {
+        success: true,
+        transactionDigest: result.digest,
+        vettingTableId,
+        name: registered?.name ?? null,
+        message: 'Vetting table initialized successfully'
+    };
+}
+
+registerAdminOperation('vetting_table.initialize', finalizeVettingTable);
+
+// With a name, the new table is also added to the registry so requests can select it
+export async function initializeVettingTable(name = null) {
     const PACKAGE_ID = process.env.PACKAGE_ID;
     if (!PACKAGE_ID) throw new Error('PACKAGE_ID not set in .env');
 
-    const client = new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' });
-
-    const mnemonic = process.env.MNEMONIC;
-    if (!mnemonic) throw new Error('MNEMONIC not set in .env');
+    // Check the name up front so a taken name doesn't cost a table
+    if (name) {
+        await assertVettingTableNameAvailable(name);
+    }
 
-    const keypair = Ed25519Keypair.deriveKeypair(mnemonic);
     const tx = new Transaction();
 
     // Assuming AdminCap is already created and its ID is stored in .env
@@ -28,26 +50,12 @@ export async function initializeVettingTable() {
     });
 
     try {
-        const result = await client.signAndExecuteTransaction({
-            transaction: tx,
-            signer: keypair,
+        return await executeAdminTransaction(tx, {
+            operation: 'vetting_table.initialize',
+            params: { name },
             options: { showObjectChanges: true },
+            dedupeKey: name ? `vetting_table.initialize:${name}` : null
         });
-
-        const vettingTableChange = result.objectChanges?.find(
-            (change) =>
-                change.type === 'created' && change.objectType.includes('VettingTable')
-        );
-
-        const vettingTableId = vettingTableChange?.objectId;
-        if (!vettingTableId) throw new Error('VettingTable object not found');
-
-        return {
-            success: true,
-            transactionDigest: result.digest,
-            vettingTableId,
-            message: 'Vetting table initialized successfully'
-        };
     } catch (error) {
         console.error('Error executing transaction:', error);
         throw error;
@@ -0,0 +1,69 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import * as dotenv from 'dotenv';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Directory holding the API's local JSON state files
+export function getDataDir() {
+    return process.env.DATA_DIR || path.resolve('data');
+}
+
+export async function readJson(fileName, fallback) {
+    const filePath = path.join(getDataDir(), fileName);
+    try {
+        const contents = await fs.readFile(filePath, 'utf8');
+        return JSON.parse(contents);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return fallback;
+        }
+        throw error;
+    }
+}
+
+// Names of the state files in the data directory, for stores kept as one file per key
+export async function listJsonFiles() {
+    try {
+        return (await fs.readdir(getDataDir())).filter((fileName) => fileName.endsWith('.json'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+// Writes to a temporary file first so a crash never leaves a half-written store.
+// The stores hold encrypted keys and applicant data, so the directory and files are owner-only;
+// a leftover temporary file is removed first because the mode only applies when a file is created.
+export async function writeJson(fileName, value) {
+    const dataDir = getDataDir();
+    const filePath = path.join(dataDir, fileName);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.mkdir(dataDir, { recursive: true, mode: 0o700 });
+    await fs.rm(tmpPath, { force: true });
+    await fs.writeFile(tmpPath, JSON.stringify(value, null, 2), { mode: 0o600 });
+    await fs.rename(tmpPath, filePath);
+}
+
+// Serialises read-modify-write cycles per file so concurrent requests don't overwrite each other.
+// The updater mutates the stored value in place and may return a result for the caller.
+const pendingUpdates = new Map();
+
+export function updateJson(fileName, fallback, updater) {
+    const previous = pendingUpdates.get(fileName) || Promise.resolve();
+    const next = previous
+        .catch(() => {})
+        .then(async () => {
+            const current = await readJson(fileName, fallback);
+            const result = await updater(current);
+            await writeJson(fileName, current);
+            return result;
+        });
+
+    pendingUpdates.set(fileName, next);
+    return next;
+}
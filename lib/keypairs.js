@@ -0,0 +1,100 @@
+import { decodeSuiPrivateKey } from '@mysten/sui/cryptography';
+import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519';
+import { Secp256k1Keypair } from '@mysten/sui/keypairs/secp256k1';
+import { Secp256r1Keypair } from '@mysten/sui/keypairs/secp256r1';
+import { fromHex } from '@mysten/sui/utils';
+
+// Sui's names for the supported signature schemes, as written in "suiprivkey1..." strings
+export const KEY_SCHEMES = ['ED25519', 'Secp256k1', 'Secp256r1'];
+
+const KEYPAIR_CLASSES = {
+    ED25519: Ed25519Keypair,
+    Secp256k1: Secp256k1Keypair,
+    Secp256r1: Secp256r1Keypair
+};
+
+function keySchemeError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+// Accepts any casing ("ed25519", "SECP256K1") and returns Sui's spelling, or null when unsupported
+export function normalizeKeyScheme(keyScheme) {
+    if (typeof keyScheme !== 'string') {
+        return null;
+    }
+    return KEY_SCHEMES.find((scheme) => scheme.toLowerCase() === keyScheme.toLowerCase()) ?? null;
+}
+
+export function isSupportedKeyScheme(keyScheme) {
+    return normalizeKeyScheme(keyScheme) !== null;
+}
+
+function keypairClass(keyScheme) {
+    const scheme = normalizeKeyScheme(keyScheme);
+    if (!scheme) {
+        throw keySchemeError(`Unsupported key scheme: ${keyScheme}. Use one of ${KEY_SCHEMES.join(', ')}`);
+    }
+    return KEYPAIR_CLASSES[scheme];
+}
+
+// The paths Sui wallets use: Ed25519 is fully hardened (SLIP-0010), the secp256 curves follow BIP32
+// with purpose 54 (k1) or 74 (r1) and unhardened change/address levels
+export function derivationPathFor(keyScheme, accountIndex = 0) {
+    switch (normalizeKeyScheme(keyScheme)) {
+        case 'ED25519':
+            return `m/44'/784'/${accountIndex}'/0'/0'`;
+        case 'Secp256k1':
+            return `m/54'/784'/${accountIndex}'/0/0`;
+        case 'Secp256r1':
+            return `m/74'/784'/${accountIndex}'/0/0`;
+        default:
+            throw keySchemeError(`Unsupported key scheme: ${keyScheme}. Use one of ${KEY_SCHEMES.join(', ')}`);
+    }
+}
+
+export function deriveKeypair(mnemonic, keyScheme = 'ED25519', derivationPath = derivationPathFor(keyScheme)) {
+    return keypairClass(keyScheme).deriveKeypair(mnemonic, derivationPath);
+}
+
+export function keypairFromSecretKey(secretKey, keyScheme = 'ED25519') {
+    return keypairClass(keyScheme).fromSecretKey(secretKey);
+}
+
+// Builds a keypair from a Bech32 "suiprivkey1..." string of any supported scheme
+export function keypairFromSuiPrivateKey(privateKey) {
+    const { schema, secretKey } = decodeSuiPrivateKey(privateKey);
+    return keypairFromSecretKey(secretKey, schema);
+}
+
+// Private key credentials come as Bech32 "suiprivkey1..." (the Sui CLI export format, which names
+// its own scheme) or as hex in the given scheme: 64 characters, optionally 0x-prefixed. 128 hex
+// characters are an Ed25519 secret key followed by its public key, as older exports wrote them.
+export function parsePrivateKey(privateKey, keyScheme = 'ED25519') {
+    if (typeof privateKey !== 'string' || !privateKey) {
+        throw keySchemeError('privateKey must be a non-empty string');
+    }
+
+    if (privateKey.startsWith('suiprivkey')) {
+        try {
+            return keypairFromSuiPrivateKey(privateKey);
+        } catch (error) {
+            throw keySchemeError(`Invalid suiprivkey private key: ${error.message}`);
+        }
+    }
+
+    const hex = privateKey.startsWith('0x') ? privateKey.slice(2) : privateKey;
+    if (!/^[0-9a-fA-F]+$/.test(hex) || (hex.length !== 64 && hex.length !== 128)) {
+        throw keySchemeError('Invalid private key format. Expected a suiprivkey1... string or 64 hex characters');
+    }
+
+    let keyBytes = fromHex(hex);
+    if (keyBytes.length === 64) {
+        if (normalizeKeyScheme(keyScheme) !== 'ED25519') {
+            throw keySchemeError(`A 64-byte private key is only valid for ED25519, not ${keyScheme}`);
+        }
+        keyBytes = keyBytes.slice(0, 32);
+    }
+    return keypairFromSecretKey(keyBytes, keyScheme);
+}
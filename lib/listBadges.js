@@ -0,0 +1,56 @@
+import { SuiClient } from '@mysten/sui/client';
+import * as dotenv from 'dotenv';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Lists the NFT and RestrictedNFT badges owned by an address
+export async function listBadges(ownerAddress) {
+    const PACKAGE_ID = process.env.PACKAGE_ID;
+    if (!PACKAGE_ID) throw new Error('PACKAGE_ID not set in .env');
+
+    const client = new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' });
+
+    const badges = [];
+    let cursor = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+        const page = await client.getOwnedObjects({
+            owner: ownerAddress,
+            filter: { MoveModule: { package: PACKAGE_ID, module: 'braav_public' } },
+            options: { showType: true, showContent: true },
+            cursor,
+        });
+
+        for (const object of page.data) {
+            const type = object.data?.type || '';
+            const kind = type.includes('::braav_public::RestrictedNFT<')
+                ? 'restricted'
+                : type.includes('::braav_public::NFT<') ? 'nft' : null;
+            if (!kind) {
+                continue;
+            }
+
+            const fields = object.data.content?.fields || {};
+            badges.push({
+                objectId: object.data.objectId,
+                kind,
+                type,
+                braavVersion: type.match(/::xoa::(\w+)>/)?.[1] ?? null,
+                name: fields.name ?? null,
+                coinId: fields.coin_id ?? null
+            });
+        }
+
+        cursor = page.nextCursor;
+        hasNextPage = page.hasNextPage;
+    }
+
+    return {
+        success: true,
+        ownerAddress,
+        count: badges.length,
+        badges
+    };
+}
@@ -0,0 +1,107 @@
+import { SuiClient } from '@mysten/sui/client';
+import { normalizeSuiAddress } from '@mysten/sui/utils';
+import * as dotenv from 'dotenv';
+import { buildStatusResult } from './statusOfVetting.js';
+import { getVettingDecisions } from './vettingDecisions.js';
+import { resolveVettingTableId } from './vettingTables.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+export const DEFAULT_APPLICANTS_PAGE_SIZE = 50;
+// getDynamicFields and multiGetObjects both cap a single request at 50 entries
+const RPC_PAGE_SIZE = 50;
+
+// Entries live either directly on the VettingTable object or inside a nested
+// sui::table::Table field; resolve the parent once and reuse it.
+const entriesParentCache = new Map();
+
+async function resolveEntriesParentId(client, vettingTableId) {
+    if (entriesParentCache.has(vettingTableId)) {
+        return entriesParentCache.get(vettingTableId);
+    }
+
+    const tableObject = await client.getObject({
+        id: vettingTableId,
+        options: { showContent: true },
+    });
+    if (tableObject.error || !tableObject.data) {
+        throw new Error(`VettingTable ${vettingTableId} not found`);
+    }
+
+    const fields = tableObject.data.content?.fields || {};
+    const nestedTable = Object.values(fields).find(
+        (value) => value?.type?.includes('::table::Table<') && value.fields?.id?.id
+    );
+
+    const parentId = nestedTable ? nestedTable.fields.id.id : vettingTableId;
+    entriesParentCache.set(vettingTableId, parentId);
+    return parentId;
+}
+
+export async function listVettingApplicants({ status = null, cursor = null, limit = DEFAULT_APPLICANTS_PAGE_SIZE, vettingTable = null } = {}) {
+    const VETTING_TABLE_ID = await resolveVettingTableId(vettingTable) || 'YOUR_VETTING_TABLE_ID';
+    const client = new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' });
+
+    if (VETTING_TABLE_ID === 'YOUR_VETTING_TABLE_ID') {
+        throw new Error('VETTING_TABLE_ID not set in .env file');
+    }
+
+    const parentId = await resolveEntriesParentId(client, VETTING_TABLE_ID);
+    const decisions = await getVettingDecisions(VETTING_TABLE_ID);
+
+    const applicants = [];
+    let pageCursor = cursor;
+    let hasNextPage = true;
+
+    // Keep reading pages until the filtered result is full, so a status filter
+    // doesn't hand back mostly-empty pages.
+    while (applicants.length < limit && hasNextPage) {
+        const page = await client.getDynamicFields({
+            parentId,
+            cursor: pageCursor,
+            limit: RPC_PAGE_SIZE,
+        });
+
+        const entryObjects = page.data.length > 0
+            ? await client.multiGetObjects({
+                ids: page.data.map((field) => field.objectId),
+                options: { showContent: true },
+            })
+            : [];
+
+        for (let i = 0; i < page.data.length; i++) {
+            const field = page.data[i];
+            const value = entryObjects[i]?.data?.content?.fields?.value;
+            const applicantAddress = normalizeSuiAddress(String(field.name.value));
+            const entry = buildStatusResult(applicantAddress, true, value === true, decisions[applicantAddress] || null);
+
+            pageCursor = field.objectId;
+            if (!status || entry.status === status) {
+                applicants.push({
+                    applicantAddress,
+                    isApproved: entry.isApproved,
+                    status: entry.status,
+                    decidedAt: entry.decidedAt
+                });
+                if (applicants.length === limit) {
+                    break;
+                }
+            }
+        }
+
+        // Stopping mid-page leaves more entries behind the last one returned
+        hasNextPage = page.hasNextPage || pageCursor !== page.data[page.data.length - 1]?.objectId;
+        if (page.data.length === 0) {
+            hasNextPage = false;
+        }
+    }
+
+    return {
+        success: true,
+        vettingTableId: VETTING_TABLE_ID,
+        applicants,
+        nextCursor: hasNextPage ? pageCursor : null,
+        hasNextPage
+    };
+}
@@ -0,0 +1,28 @@
+// Parses the MoveAbort error string Sui reports in transaction effects, e.g.
+// MoveAbort(MoveLocation { module: ModuleId { address: 0x2, name: Identifier("dynamic_field") },
+//   function: 11, instruction: 0, function_name: Some("borrow_child_object") }, 1) in command 0
+const MOVE_ABORT_PATTERN = /MoveAbort\(MoveLocation \{ module: ModuleId \{ address: ([0-9a-fA-Fx]+), name: Identifier\("([^"]+)"\) \}, function: (\d+), instruction: (\d+), function_name: (?:Some\("([^"]+)"\)|None) \}, (\d+)\)(?: in command (\d+))?/;
+
+export function parseMoveAbort(errorMessage) {
+    const match = typeof errorMessage === 'string' ? errorMessage.match(MOVE_ABORT_PATTERN) : null;
+    if (!match) {
+        return null;
+    }
+
+    const [, address, module, functionIndex, instruction, functionName, code, command] = match;
+    return {
+        address,
+        module,
+        functionIndex: Number(functionIndex),
+        instruction: Number(instruction),
+        functionName: functionName || null,
+        code: Number(code),
+        command: typeof command === 'undefined' ? null : Number(command)
+    };
+}
+
+// Aborts that mean the applicant simply has no entry in the VettingTable:
+// sui::dynamic_field::EFieldDoesNotExist when the table is borrowed without a contains check.
+export function isMissingEntryAbort(abort) {
+    return abort?.module === 'dynamic_field' && abort.code === 1;
+}
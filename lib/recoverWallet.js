@@ -0,0 +1,121 @@
+import { SuiClient } from '@mysten/sui/client';
+import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519';
+import { normalizeSuiAddress } from '@mysten/sui/utils';
+import * as dotenv from 'dotenv';
+import { createCustodialWallet, deriveWalletSeed } from '../createCustodialWallet.js';
+import { findCustodialWallet, storeCustodialKey } from './custodialKeystore.js';
+import { KEY_SCHEMES, normalizeKeyScheme } from './keypairs.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+function recoveryError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Wallets created before BIP39 mnemonics used the HMAC seed directly as the Ed25519 key
+function deriveLegacyWallet(userDetails) {
+    const privateKeyBytes = deriveWalletSeed(userDetails).subarray(0, 32);
+    const keypair = Ed25519Keypair.fromSecretKey(privateKeyBytes);
+    return {
+        address: keypair.getPublicKey().toSuiAddress(),
+        publicKey: keypair.getPublicKey().toBase64(),
+        privateKey: Buffer.from(privateKeyBytes).toString('hex'),
+        mnemonic: null,
+        keyScheme: 'ED25519'
+    };
+}
+
+// Ed25519 derivations keep their original labels ("bip39-12"); other schemes add theirs ("bip39-12-secp256k1")
+async function deriveCandidates(userDetails, wordCount, keyScheme) {
+    const wordCounts = wordCount ? [wordCount] : [12, 24];
+    const keySchemes = keyScheme ? [keyScheme] : KEY_SCHEMES;
+    const candidates = [];
+    for (const scheme of keySchemes) {
+        const suffix = scheme === 'ED25519' ? '' : `-${scheme.toLowerCase()}`;
+        for (const count of wordCounts) {
+            candidates.push({
+                derivation: `bip39-${count}${suffix}`,
+                wallet: await createCustodialWallet(userDetails, { wordCount: count, keyScheme: scheme })
+            });
+        }
+    }
+    if (keySchemes.includes('ED25519')) {
+        candidates.push({ derivation: 'legacy', wallet: deriveLegacyWallet(userDetails) });
+    }
+    return candidates;
+}
+
+async function describeAssets(client, address) {
+    const [balances, objects] = await Promise.all([
+        client.getAllBalances({ owner: address }),
+        client.getOwnedObjects({ owner: address, limit: 50 })
+    ]);
+    const nonZeroBalances = balances
+        .filter((balance) => BigInt(balance.totalBalance) > 0n)
+        .map((balance) => ({ coinType: balance.coinType, totalBalance: balance.totalBalance }));
+
+    return {
+        holdsAssets: objects.data.length > 0,
+        balances: nonZeroBalances,
+        objectCount: objects.data.length,
+        hasMoreObjects: objects.hasNextPage
+    };
+}
+
+// Re-derives a custodial wallet from the user details it was created with and checks it against
+// the keystore record or an expected address. Keys never leave the server: a wallet that matches
+// but isn't in the keystore yet is added to it, so the server can sign for the user again.
+// Without a keyScheme every supported scheme is tried.
+export async function recoverCustodialWallet(userDetails, { expectedAddress = null, wordCount = null, keyScheme = null } = {}) {
+    const scheme = keyScheme ? normalizeKeyScheme(keyScheme) : null;
+    if (keyScheme && !scheme) {
+        throw recoveryError(`Unsupported key scheme: ${keyScheme}. Use one of ${KEY_SCHEMES.join(', ')}`, 400);
+    }
+
+    const userId = String(userDetails.id);
+    const stored = await findCustodialWallet(userId);
+    const target = stored?.address ?? expectedAddress;
+
+    if (!target) {
+        throw recoveryError(`No stored wallet for user ${userId}; provide expectedAddress to confirm the recovery`, 400);
+    }
+    if (stored && expectedAddress && normalizeSuiAddress(stored.address) !== normalizeSuiAddress(expectedAddress)) {
+        throw recoveryError(`expectedAddress does not match the stored wallet for user ${userId}`, 409);
+    }
+
+    const candidates = await deriveCandidates(userDetails, wordCount, scheme ?? stored?.keyScheme ?? null);
+    const match = candidates.find(({ wallet }) => normalizeSuiAddress(wallet.address) === normalizeSuiAddress(target));
+    if (!match) {
+        throw recoveryError('The user details do not derive the expected address', 409);
+    }
+
+    const restoredToKeystore = !stored;
+    if (restoredToKeystore) {
+        await storeCustodialKey(userId, match.wallet, 'recovered');
+    }
+
+    const client = new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' });
+    let assets;
+    try {
+        assets = await describeAssets(client, match.wallet.address);
+    } catch (error) {
+        console.error('Error checking recovered wallet assets:', error.message);
+        assets = { error: `Could not check on-chain assets: ${error.message}` };
+    }
+
+    return {
+        success: true,
+        userId,
+        address: match.wallet.address,
+        publicKey: match.wallet.publicKey,
+        keyScheme: match.wallet.keyScheme,
+        derivation: match.derivation,
+        matchedStoredWallet: Boolean(stored),
+        restoredToKeystore,
+        assets,
+        message: 'Wallet recovered successfully'
+    };
+}
@@ -0,0 +1,118 @@
+import net from 'net';
+import { Signer } from '@mysten/sui/cryptography';
+import { publicKeyFromRawBytes } from '@mysten/sui/verify';
+
+// Line-delimited JSON over a local (Unix domain) socket:
+//   { "id": 1, "method": "publicKey" }              -> { "id": 1, "scheme": "ED25519", "publicKey": "<base64>" }
+//   { "id": 2, "method": "sign", "data": "<base64>" } -> { "id": 2, "signature": "<base64>" }
+// Failures answer { "id": ..., "error": "..." }.
+
+function request(socketPath, message, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection(socketPath);
+        let buffer = '';
+
+        socket.setTimeout(timeoutMs, () => {
+            socket.destroy();
+            reject(new Error(`Remote signer at ${socketPath} timed out`));
+        });
+        socket.on('connect', () => socket.write(`${JSON.stringify(message)}\n`));
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('utf8');
+            const newline = buffer.indexOf('\n');
+            if (newline === -1) {
+                return;
+            }
+            socket.end();
+            try {
+                const response = JSON.parse(buffer.slice(0, newline));
+                if (response.error) {
+                    reject(new Error(`Remote signer error: ${response.error}`));
+                } else {
+                    resolve(response);
+                }
+            } catch (error) {
+                reject(new Error(`Invalid response from remote signer: ${error.message}`));
+            }
+        });
+        socket.on('error', (error) => reject(new Error(`Remote signer unavailable at ${socketPath}: ${error.message}`)));
+    });
+}
+
+// Signer whose key lives in another process; only the 32-byte signing digests cross the socket
+export class RemoteSigner extends Signer {
+    constructor(socketPath, scheme, publicKey, timeoutMs) {
+        super();
+        this.socketPath = socketPath;
+        this.scheme = scheme;
+        this.publicKey = publicKey;
+        this.timeoutMs = timeoutMs;
+    }
+
+    static async connect(socketPath, { timeoutMs = 10000 } = {}) {
+        const response = await request(socketPath, { id: 1, method: 'publicKey' }, timeoutMs);
+        const publicKey = publicKeyFromRawBytes(response.scheme, Buffer.from(response.publicKey, 'base64'));
+        return new RemoteSigner(socketPath, response.scheme, publicKey, timeoutMs);
+    }
+
+    getKeyScheme() {
+        return this.scheme;
+    }
+
+    getPublicKey() {
+        return this.publicKey;
+    }
+
+    async sign(bytes) {
+        const response = await request(this.socketPath, { id: 2, method: 'sign', data: Buffer.from(bytes).toString('base64') }, this.timeoutMs);
+        return new Uint8Array(Buffer.from(response.signature, 'base64'));
+    }
+}
+
+// Serves a keypair to RemoteSigner clients. Anyone who can open the socket can sign,
+// so keep it in a directory only the API user can reach.
+export function serveRemoteSigner(socketPath, keypair) {
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        socket.on('data', async (chunk) => {
+            buffer += chunk.toString('utf8');
+            const newline = buffer.indexOf('\n');
+            if (newline === -1) {
+                return;
+            }
+
+            let message;
+            try {
+                message = JSON.parse(buffer.slice(0, newline));
+            } catch {
+                socket.end(`${JSON.stringify({ error: 'Malformed request' })}\n`);
+                return;
+            }
+
+            try {
+                if (message.method === 'publicKey') {
+                    socket.end(`${JSON.stringify({
+                        id: message.id,
+                        scheme: keypair.getKeyScheme(),
+                        publicKey: keypair.getPublicKey().toBase64()
+                    })}\n`);
+                } else if (message.method === 'sign') {
+                    const data = Buffer.from(message.data, 'base64');
+                    if (data.length !== 32) {
+                        throw new Error('Only 32-byte signing digests are accepted');
+                    }
+                    const signature = await keypair.sign(data);
+                    socket.end(`${JSON.stringify({ id: message.id, signature: Buffer.from(signature).toString('base64') })}\n`);
+                } else {
+                    throw new Error(`Unknown method: ${message.method}`);
+                }
+            } catch (error) {
+                socket.end(`${JSON.stringify({ id: message.id, error: error.message })}\n`);
+            }
+        });
+        socket.on('error', () => socket.destroy());
+    });
+
+    server.listen(socketPath);
+    return server;
+}
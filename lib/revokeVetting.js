@@ -0,0 +1,60 @@
+import { Transaction } from '@mysten/sui/transactions';
+import * as dotenv from 'dotenv';
+import { executeAdminTransaction, registerAdminOperation } from './adminTransactions.js';
+import { recordVettingDecision } from './vettingDecisions.js';
+import { resolveVettingTableId } from './vettingTables.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+async function finalizeRevocation(result, { applicantAddress, vettingTableId }) {
+    if (result.effects?.status?.status !== 'success') {
+        throw new Error(`Transaction failed: ${result.effects?.status?.error || 'Unknown error'}`);
+    }
+
+    await recordVettingDecision(applicantAddress, 'revoked', result.digest, {}, vettingTableId);
+
+    return {
+        success: true,
+        transactionDigest: result.digest,
+        applicantAddress,
+        vettingTableId,
+        status: 'revoked',
+        message: 'Vetting approval revoked successfully'
+    };
+}
+
+registerAdminOperation('vetting.revoke', finalizeRevocation);
+
+export async function revokeVetting(applicantAddress, { vettingTable = null } = {}) {
+    const PACKAGE_ID = process.env.PACKAGE_ID || 'YOUR_PACKAGE_ID';
+    const VETTING_TABLE_ID = await resolveVettingTableId(vettingTable) || 'YOUR_VETTING_TABLE_ID';
+    const ADMIN_CAP_ID = process.env.ADMIN_CAP || 'YOUR_ADMIN_CAP_ID';
+
+    // Validate required environment variables
+    if (PACKAGE_ID === 'YOUR_PACKAGE_ID' || VETTING_TABLE_ID === 'YOUR_VETTING_TABLE_ID' || ADMIN_CAP_ID === 'YOUR_ADMIN_CAP_ID') {
+        throw new Error('Required environment variables not set: PACKAGE_ID, VETTING_TABLE_ID, or ADMIN_CAP');
+    }
+
+    const tx = new Transaction();
+    tx.moveCall({
+        target: `${PACKAGE_ID}::vetting::revoke_vetting`,
+        arguments: [
+            tx.object(ADMIN_CAP_ID),
+            tx.object(VETTING_TABLE_ID),
+            tx.pure.address(applicantAddress),
+        ],
+    });
+
+    try {
+        return await executeAdminTransaction(tx, {
+            operation: 'vetting.revoke',
+            params: { applicantAddress, vettingTableId: VETTING_TABLE_ID },
+            options: { showEffects: true },
+            dedupeKey: `vetting.revoke:${VETTING_TABLE_ID}:${applicantAddress}`
+        });
+    } catch (error) {
+        console.error('Error executing transaction:', error);
+        throw error;
+    }
+}
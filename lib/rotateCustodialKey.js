@@ -0,0 +1,143 @@
+import { SuiClient } from '@mysten/sui/client';
+import { Transaction } from '@mysten/sui/transactions';
+import * as dotenv from 'dotenv';
+import { createCustodialWalletWithStandardMnemonic } from '../createCustodialWallet.js';
+import { beginKeyRotation, completeKeyRotation, getCustodialKeypair, getCustodialWallet } from './custodialKeystore.js';
+import { ensureGasForOperation } from './gasStation.js';
+import { completeAccountRotation, deriveRotationAccount } from './hdAccounts.js';
+import { listBadges } from './listBadges.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// A transaction can take at most 256 gas coins
+const MAX_GAS_COINS = 256;
+
+// Two rotations for one user at once would race for the same coins
+const rotationsInProgress = new Set();
+
+function rotationError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+async function getAllSuiCoins(client, owner) {
+    const coins = [];
+    let cursor = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+        const page = await client.getCoins({ owner, coinType: '0x2::sui::SUI', cursor });
+        coins.push(...page.data);
+        cursor = page.nextCursor;
+        hasNextPage = page.hasNextPage;
+    }
+    return coins;
+}
+
+// Moves a custodial user to a fresh key: transfers all SUI and transferable NFT badges from the old
+// address in one transaction signed by the old key, then retires the old key. RestrictedNFTs can't
+// be moved by their owner, so they are reported for an admin restricted transfer.
+export async function rotateCustodialKey(userId) {
+    if (rotationsInProgress.has(userId)) {
+        throw rotationError(`A key rotation is already running for user ${userId}`, 409);
+    }
+
+    rotationsInProgress.add(userId);
+    try {
+        return await migrateToNewKey(userId);
+    } finally {
+        rotationsInProgress.delete(userId);
+    }
+}
+
+async function migrateToNewKey(userId) {
+    const current = await getCustodialWallet(userId);
+    const oldKeypair = await getCustodialKeypair(userId);
+    const oldAddress = current.address;
+
+    // HD users move to a new index of the master mnemonic; everyone else gets a fresh random mnemonic.
+    // The new key keeps the old key's scheme.
+    const hd = current.source === 'hd';
+    const keyScheme = current.keyScheme || 'ED25519';
+    const pending = await beginKeyRotation(
+        userId,
+        () => hd
+            ? deriveRotationAccount(userId, oldAddress)
+            : createCustodialWalletWithStandardMnemonic({ id: userId, created_at: new Date().toISOString(), secret_key: '' }, { keyScheme }),
+        hd ? 'hd' : 'rotated'
+    );
+    const newAddress = pending.address;
+
+    const client = new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' });
+    const { badges } = await listBadges(oldAddress);
+    const transferableNfts = badges.filter((badge) => badge.kind === 'nft');
+    const restrictedNfts = badges.filter((badge) => badge.kind === 'restricted');
+    if (transferableNfts.length > 0) {
+        await ensureGasForOperation(userId, 'custodial_key.rotate', { client });
+    }
+    const suiCoins = await getAllSuiCoins(client, oldAddress);
+
+    if (suiCoins.length === 0 && transferableNfts.length > 0) {
+        throw rotationError(`${oldAddress} holds NFTs but no SUI to pay gas for moving them; fund it and retry`, 409);
+    }
+
+    const transactionDigests = [];
+    const balanceChanges = [];
+
+    // One transaction per 256 coins; the NFTs go with the first
+    for (let start = 0; start < suiCoins.length; start += MAX_GAS_COINS) {
+        const tx = new Transaction();
+        tx.setSender(oldAddress);
+        if (start === 0 && transferableNfts.length > 0) {
+            tx.transferObjects(transferableNfts.map((nft) => tx.object(nft.objectId)), newAddress);
+        }
+        // Paying gas with every coin merges them into the gas coin, which then moves whole
+        tx.setGasPayment(suiCoins.slice(start, start + MAX_GAS_COINS).map((coin) => ({
+            objectId: coin.coinObjectId,
+            version: coin.version,
+            digest: coin.digest
+        })));
+        tx.transferObjects([tx.gas], newAddress);
+
+        const result = await client.signAndExecuteTransaction({
+            transaction: tx,
+            signer: oldKeypair,
+            options: { showEffects: true, showBalanceChanges: true },
+        });
+
+        if (result.effects?.status?.status !== 'success') {
+            throw new Error(`Asset migration failed: ${result.effects?.status?.error || 'Unknown error'}`);
+        }
+        transactionDigests.push(result.digest);
+        balanceChanges.push(...(result.balanceChanges || []));
+    }
+
+    const wallet = await completeKeyRotation(userId, transactionDigests);
+    if (hd) {
+        // The new key is already active, so a failure here is not reported as a failed rotation;
+        // the next rotation for the user records the index before picking a new one
+        try {
+            await completeAccountRotation(userId);
+        } catch (error) {
+            console.error(`Could not record the new HD account index for user ${userId}:`, error.message);
+        }
+    }
+
+    return {
+        success: true,
+        userId,
+        oldAddress,
+        newAddress: wallet.address,
+        publicKey: wallet.publicKey,
+        keyScheme: wallet.keyScheme,
+        transactionDigests,
+        balanceChanges,
+        movedNfts: transferableNfts.map(({ objectId, type }) => ({ objectId, type })),
+        restrictedNftsNeedingAdminTransfer: restrictedNfts.map(({ objectId, type }) => ({ objectId, type })),
+        message: restrictedNfts.length > 0
+            ? 'Key rotated; restricted NFTs must be moved by an admin restricted transfer'
+            : 'Key rotated successfully'
+    };
+}
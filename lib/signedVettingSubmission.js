@@ -0,0 +1,154 @@
+import { SuiClient } from '@mysten/sui/client';
+import { Transaction } from '@mysten/sui/transactions';
+import { fromBase64, normalizeSuiAddress, toBase64 } from '@mysten/sui/utils';
+import { verifyTransactionSignature } from '@mysten/sui/verify';
+import * as dotenv from 'dotenv';
+import {
+    assertSponsorshipAllowed,
+    buildSponsoredTransaction,
+    executeSponsoredTransaction,
+    isSponsoredBySponsor
+} from './gasSponsorship.js';
+import { clearClosedDecision } from './vettingDecisions.js';
+import { resolveVettingTableId } from './vettingTables.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+async function getVettingConfig(vettingTable = null) {
+    const PACKAGE_ID = process.env.PACKAGE_ID || 'YOUR_PACKAGE_ID';
+    const VETTING_TABLE_ID = await resolveVettingTableId(vettingTable) || 'YOUR_VETTING_TABLE_ID';
+
+    // Validate environment variables
+    if (PACKAGE_ID === 'YOUR_PACKAGE_ID' || VETTING_TABLE_ID === 'YOUR_VETTING_TABLE_ID') {
+        throw new Error('PACKAGE_ID or VETTING_TABLE_ID not set in .env file');
+    }
+
+    return { PACKAGE_ID, VETTING_TABLE_ID };
+}
+
+// Step 1: build the unsigned submit_for_vetting transaction for the applicant to sign in their own wallet.
+// With sponsored set, the sponsor wallet is the gas owner so unfunded applicants can still submit.
+export async function buildVettingSubmission(senderAddress, { sponsored = false, vettingTable = null } = {}) {
+    const { PACKAGE_ID, VETTING_TABLE_ID } = await getVettingConfig(vettingTable);
+    const client = new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' });
+
+    if (sponsored) {
+        await assertSponsorshipAllowed(senderAddress);
+    }
+
+    const tx = new Transaction();
+    tx.setSender(senderAddress);
+    tx.moveCall({
+        target: `${PACKAGE_ID}::vetting::submit_for_vetting`,
+        arguments: [tx.object(VETTING_TABLE_ID)],
+    });
+
+    let transactionBytes;
+    try {
+        transactionBytes = sponsored
+            ? await buildSponsoredTransaction(tx, senderAddress, client)
+            : await tx.build({ client });
+    } catch (error) {
+        console.error('Error building vetting submission:', error.message);
+        throw new Error(`Failed to build vetting submission for ${senderAddress}: ${error.message}`);
+    }
+
+    return {
+        success: true,
+        senderAddress,
+        vettingTableId: VETTING_TABLE_ID,
+        sponsored,
+        transactionBytes: toBase64(transactionBytes),
+        message: 'Sign transactionBytes with the applicant wallet and send the signature to /api/execute-vetting-submission'
+    };
+}
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+// Decodes the base64 bytes sent back by the client; anything that isn't a transaction is the caller's mistake
+function parseTransactionBytes(transactionBytes) {
+    if (typeof transactionBytes !== 'string') {
+        throw badRequest('transactionBytes must be a base64 string');
+    }
+    try {
+        const bytes = fromBase64(transactionBytes);
+        return { bytes, transactionData: Transaction.from(bytes).getData() };
+    } catch {
+        throw badRequest('transactionBytes is not a valid base64-encoded transaction');
+    }
+}
+
+// Only the exact transaction built in step 1 is relayed, so the endpoint can't be used to execute arbitrary transactions.
+// Returns the ID of the vetting table the submission targets.
+function assertIsVettingSubmission(transactionData, packageId) {
+    const { commands, inputs } = transactionData;
+    const moveCall = commands.length === 1 ? commands[0].MoveCall : null;
+
+    if (
+        !moveCall ||
+        normalizeSuiAddress(moveCall.package) !== normalizeSuiAddress(packageId) ||
+        moveCall.module !== 'vetting' ||
+        moveCall.function !== 'submit_for_vetting'
+    ) {
+        throw badRequest('Transaction is not a vetting::submit_for_vetting call');
+    }
+
+    const tableInput = inputs[moveCall.arguments[0]?.Input];
+    return tableInput?.Object?.SharedObject?.objectId ?? null;
+}
+
+// Step 2: execute the transaction with the signature produced by the applicant's wallet
+export async function executeVettingSubmission(transactionBytes, signature) {
+    const { PACKAGE_ID } = await getVettingConfig();
+    const client = new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' });
+
+    const { bytes, transactionData } = parseTransactionBytes(transactionBytes);
+    const vettingTableId = assertIsVettingSubmission(transactionData, PACKAGE_ID);
+
+    const sender = transactionData.sender;
+    if (!sender) {
+        throw badRequest('Transaction has no sender');
+    }
+    try {
+        await verifyTransactionSignature(bytes, signature, { address: sender });
+    } catch (verifyError) {
+        throw badRequest(`Signature does not match transaction sender ${sender}`);
+    }
+
+    const sponsored = await isSponsoredBySponsor(transactionData);
+
+    try {
+        const result = sponsored
+            ? await executeSponsoredTransaction(client, bytes, transactionData, signature)
+            : await client.executeTransactionBlock({
+                transactionBlock: bytes,
+                signature,
+                options: {
+                    showEffects: true,
+                    showEvents: true
+                },
+            });
+
+        if (result.effects?.status?.status !== 'success') {
+            throw new Error(`Transaction failed: ${result.effects?.status?.error || 'Unknown error'}`);
+        }
+
+        await clearClosedDecision(sender, vettingTableId);
+        return {
+            success: true,
+            transactionDigest: result.digest,
+            applicantAddress: sender,
+            vettingTableId,
+            sponsored,
+            message: 'Vetting submission successful'
+        };
+    } catch (error) {
+        console.error('Error executing transaction:', error.message);
+        throw error;
+    }
+}
@@ -1,13 +1,97 @@
 import { SuiClient } from '@mysten/sui/client';
 import { Transaction } from '@mysten/sui/transactions';
+import { isValidSuiAddress, normalizeSuiAddress } from '@mysten/sui/utils';
 import * as dotenv from 'dotenv';
+import { getVettingDecision } from './vettingDecisions.js';
+import { isMissingEntryAbort, parseMoveAbort } from './moveAbort.js';
+import { isApprovalExpired } from './vettingExpiry.js';
+import { resolveVettingTableId } from './vettingTables.js';
 
 // Load environment variables from .env file
 dotenv.config();
 
-export async function statusOfVetting(applicantAddress) {
+// On-chain the VettingTable only knows "absent", "false" or "true", so rejections, revocations
+// and expired approvals are told apart using the locally recorded decision.
+export function resolveVettingStatus(hasApplied, isApproved, decision) {
+    if (hasApplied && isApproved) {
+        return isApprovalExpired(decision) ? 'expired' : 'approved';
+    }
+    if (decision?.decision === 'rejected' || decision?.decision === 'revoked') {
+        return decision.decision;
+    }
+    return hasApplied ? 'pending' : 'not_applied';
+}
+
+const STATUS_MESSAGES = {
+    not_applied: 'This address has not applied',
+    pending: 'Application is pending review',
+    approved: 'Application has been approved',
+    rejected: 'Application has been rejected',
+    revoked: 'Approval has been revoked',
+    expired: 'Approval has expired; re-vetting is required'
+};
+
+export function buildStatusResult(applicantAddress, hasApplied, isApproved, decision, extra = {}) {
+    const status = resolveVettingStatus(hasApplied, isApproved, decision);
+
+    return {
+        applicantAddress,
+        hasApplied,
+        isApproved,
+        status,
+        decidedAt: decision?.decidedAt ?? null,
+        expiresAt: decision?.decision === 'approved' ? decision.expiresAt ?? null : null,
+        message: STATUS_MESSAGES[status],
+        ...extra
+    };
+}
+
+// Decodes the BCS bytes of the Option<bool> returned by vetting::status_of_vetting.
+// Returns null when the bytes are not a valid Option<bool>.
+export function decodeVettingOption(optionValue) {
+    if (optionValue?.length === 1 && optionValue[0] === 0) {
+        return { hasApplied: false, isApproved: null };
+    }
+    if (optionValue?.length === 2 && optionValue[0] === 1) {
+        return { hasApplied: true, isApproved: optionValue[1] === 1 };
+    }
+    return null;
+}
+
+// Reported when the status could not be determined, so callers never mistake
+// a fullnode outage or an unexpected abort for an address that has not applied.
+export function buildStatusError(applicantAddress, errorType, message, extra = {}) {
+    return {
+        applicantAddress,
+        hasApplied: null,
+        isApproved: null,
+        status: 'error',
+        errorType,
+        message,
+        ...extra
+    };
+}
+
+// Short forms such as 0x2 are accepted; anything that isn't an address is the caller's mistake,
+// and would otherwise surface as a failure to build the status query
+export function isValidApplicantAddress(address) {
+    return typeof address === 'string' && isValidSuiAddress(normalizeSuiAddress(address));
+}
+
+export function invalidAddressError(addresses) {
+    const error = new Error(`Invalid applicant address format: ${[].concat(addresses).join(', ')}`);
+    error.statusCode = 400;
+    return error;
+}
+
+export async function statusOfVetting(applicantAddress, { vettingTable = null } = {}) {
+    if (!isValidApplicantAddress(applicantAddress)) {
+        throw invalidAddressError(applicantAddress);
+    }
+
+
     const PACKAGE_ID = process.env.PACKAGE_ID || 'YOUR_PACKAGE_ID';
-    const VETTING_TABLE_ID = process.env.VETTING_TABLE_ID || 'YOUR_VETTING_TABLE_ID';
+    const VETTING_TABLE_ID = await resolveVettingTableId(vettingTable) || 'YOUR_VETTING_TABLE_ID';
     const client = new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' });
 
     // Validate environment variables
@@ -24,65 +108,39 @@ export async function statusOfVetting(applicantAddress) {
         ],
     });
 
+    let result;
     try {
-        const result = await client.devInspectTransactionBlock({
+        result = await client.devInspectTransactionBlock({
             transactionBlock: tx,
             sender: applicantAddress,
         });
+    } catch (error) {
+        console.error('Error querying status:', error.message);
+        return buildStatusError(applicantAddress, 'rpc_unavailable', 'Could not reach the Sui fullnode', { error: error.message });
+    }
 
-        if (result.effects.status.status !== 'success') {
-            return {
-                applicantAddress,
-                hasApplied: false,
-                isApproved: null,
-                message: 'This address has not applied'
-            };
-        }
+    return interpretStatusResult(applicantAddress, result.effects.status, result.results?.[0], await getVettingDecision(applicantAddress, VETTING_TABLE_ID));
+}
 
-        // Check return values from the Move function
-        const returnValues = result.results?.[0]?.returnValues;
-        if (!returnValues || !returnValues[0]) {
-            return {
-                applicantAddress,
-                hasApplied: false,
-                isApproved: null,
-                message: 'This address has not applied'
-            };
+// Turns the effects status and command result of one status_of_vetting call into a status response
+export function interpretStatusResult(applicantAddress, effectsStatus, commandResult, decision) {
+    if (effectsStatus.status !== 'success') {
+        const abort = parseMoveAbort(effectsStatus.error);
+        if (isMissingEntryAbort(abort)) {
+            return buildStatusResult(applicantAddress, false, null, decision);
         }
-
-        const optionValue = returnValues[0][0];
-        if (optionValue.length === 1 && optionValue[0] === 0) {
-            return {
-                applicantAddress,
-                hasApplied: false,
-                isApproved: null,
-                message: 'This address has not applied'
-            };
-        } else if (optionValue.length === 2 && optionValue[0] === 1) {
-            const isApproved = optionValue[1] === 1;
-            return {
-                applicantAddress,
-                hasApplied: true,
-                isApproved,
-                message: `Approval status: ${isApproved}`
-            };
-        } else {
-            return {
-                applicantAddress,
-                hasApplied: false,
-                isApproved: null,
-                message: 'Unexpected return value'
-            };
-        }
-
-    } catch (error) {
-        console.error('Error querying status:', error.message);
-        return {
+        return buildStatusError(
             applicantAddress,
-            hasApplied: false,
-            isApproved: null,
-            message: 'This address has not applied',
-            error: error.message
-        };
+            abort ? 'move_abort' : 'execution_failed',
+            abort ? `status_of_vetting aborted in ${abort.module} with code ${abort.code}` : 'status_of_vetting failed to execute',
+            { abort, error: effectsStatus.error }
+        );
+    }
+
+    // Check return values from the Move function
+    const decoded = decodeVettingOption(commandResult?.returnValues?.[0]?.[0]);
+    if (!decoded) {
+        return buildStatusError(applicantAddress, 'unexpected_response', 'Unexpected return value');
     }
-}
\ No newline at end of file
+    return buildStatusResult(applicantAddress, decoded.hasApplied, decoded.isApproved, decision);
+}
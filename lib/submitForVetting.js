@@ -1,15 +1,21 @@
 import { SuiClient } from '@mysten/sui/client';
-import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519';
 import { Transaction } from '@mysten/sui/transactions';
-import { fromHex } from '@mysten/sui/utils';
 import * as dotenv from 'dotenv';
+import { assertSponsorshipAllowed, buildSponsoredTransaction, executeSponsoredTransaction } from './gasSponsorship.js';
+import { clearClosedDecision } from './vettingDecisions.js';
+import { resolveVettingTableId } from './vettingTables.js';
+import { getCustodialKeypair } from './custodialKeystore.js';
+import { ensureGasForOperation } from './gasStation.js';
+import { deriveKeypair, isSupportedKeyScheme, parsePrivateKey } from './keypairs.js';
 
 // Load environment variables from .env file
 dotenv.config();
 
-export async function submitForVetting(walletCredentials = null) {
+// autoTopUp lets the gas station fund a custodial user's wallet first; only callers already
+// checked to be allowed to act for that user (an admin token on the API) should set it
+export async function submitForVetting(walletCredentials = null, { sponsored = false, vettingTable = null, autoTopUp = false } = {}) {
     const PACKAGE_ID = process.env.PACKAGE_ID || 'YOUR_PACKAGE_ID';
-    const VETTING_TABLE_ID = process.env.VETTING_TABLE_ID || 'YOUR_VETTING_TABLE_ID';
+    const VETTING_TABLE_ID = await resolveVettingTableId(vettingTable) || 'YOUR_VETTING_TABLE_ID';
     const client = new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' });
 
     // Validate environment variables
@@ -17,47 +23,36 @@ export async function submitForVetting(walletCredentials = null) {
         throw new Error('PACKAGE_ID or VETTING_TABLE_ID not set in .env file');
     }
 
+    if (sponsored && !walletCredentials) {
+        const error = new Error('Sponsored submissions require the applicant walletCredentials');
+        error.statusCode = 400;
+        throw error;
+    }
+
     let keypair;
 
-    // Use provided credentials or fall back to environment variables
+    // Use provided credentials or fall back to environment variables.
+    // keyScheme (ED25519, Secp256k1 or Secp256r1) applies to mnemonics and hex private keys;
+    // a "suiprivkey1..." private key names its own scheme.
     if (walletCredentials) {
-        if (walletCredentials.mnemonic) {
-            console.log('DEBUG: Using provided mnemonic');
-            keypair = Ed25519Keypair.deriveKeypair(walletCredentials.mnemonic);
+        const keyScheme = walletCredentials.keyScheme || 'ED25519';
+        if (!isSupportedKeyScheme(keyScheme)) {
+            const error = new Error(`Unsupported keyScheme: ${keyScheme}. Use ED25519, Secp256k1 or Secp256r1`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (walletCredentials.userId) {
+            // Custodial user: the server signs with the key held in the encrypted keystore
+            keypair = await getCustodialKeypair(walletCredentials.userId);
+        } else if (walletCredentials.mnemonic) {
+            keypair = deriveKeypair(walletCredentials.mnemonic, keyScheme);
         } else if (walletCredentials.privateKey) {
-            console.log('DEBUG: Using provided privateKey:', walletCredentials.privateKey);
-            console.log('DEBUG: PrivateKey length:', walletCredentials.privateKey.length);
-            try {
-                let keyBytes;
-                const privateKey = walletCredentials.privateKey;
-                if (privateKey.length === 64) {
-                    keyBytes = fromHex('0x' + privateKey);
-                } else if (privateKey.length === 66 && privateKey.startsWith('0x')) {
-                    keyBytes = fromHex(privateKey);
-                } else {
-                    throw new Error(`Invalid private key format. Expected 64 hex characters, got ${privateKey.length}`);
-                }
-                
-                console.log('DEBUG: KeyBytes after fromHex - length:', keyBytes.length);
-                console.log('DEBUG: KeyBytes content (first 10 bytes):', Array.from(keyBytes.slice(0, 10)));
-                
-                // Ensure we have exactly 32 bytes for the private key
-                if (keyBytes.length === 64) {
-                    // This means it's the full 64-byte secret key (private + public)
-                    console.log('DEBUG: KeyBytes is 64 bytes, slicing to 32');
-                    keyBytes = keyBytes.slice(0, 32); // Take only the 32-byte private key part
-                } else if (keyBytes.length !== 32) {
-                    throw new Error('Invalid private key byte length after hex decoding. Expected 32 bytes.');
-                }
-                
-                console.log('DEBUG: Final keyBytes length:', keyBytes.length);
-                keypair = Ed25519Keypair.fromSecretKey(keyBytes);
-                console.log('DEBUG: Derived address from provided privateKey:', keypair.getPublicKey().toSuiAddress());
-            } catch (error) {
-                throw new Error('Failed to load private key. Make sure it\'s a valid 64-character hex string.');
-            }
+            keypair = parsePrivateKey(walletCredentials.privateKey, keyScheme);
         } else {
-            throw new Error('Either mnemonic or privateKey must be provided in walletCredentials');
+            const error = new Error('Either userId, mnemonic or privateKey must be provided in walletCredentials');
+            error.statusCode = 400;
+            throw error;
         }
     } else {
         // Try loading from environment variables
@@ -65,36 +60,12 @@ export async function submitForVetting(walletCredentials = null) {
         const privateKey = process.env.PRIVATE_KEY;
 
         if (mnemonic) {
-            console.log('DEBUG: Using environment mnemonic');
-            keypair = Ed25519Keypair.deriveKeypair(mnemonic);
+            keypair = deriveKeypair(mnemonic, process.env.KEY_SCHEME || 'ED25519');
         } else if (privateKey) {
-            console.log('DEBUG: Using environment privateKey:', privateKey);
             try {
-                let keyBytes;
-                if (privateKey.length === 64) {
-                    keyBytes = fromHex('0x' + privateKey);
-                } else if (privateKey.length === 66 && privateKey.startsWith('0x')) {
-                    keyBytes = fromHex(privateKey);
-                } else {
-                    throw new Error(`Invalid private key format. Expected 64 hex characters, got ${privateKey.length}`);
-                }
-                
-                console.log('DEBUG: Env KeyBytes after fromHex - length:', keyBytes.length);
-                
-                // Ensure we have exactly 32 bytes for the private key
-                if (keyBytes.length === 64) {
-                    // This means it's the full 64-byte secret key (private + public)
-                    console.log('DEBUG: Env KeyBytes is 64 bytes, slicing to 32');
-                    keyBytes = keyBytes.slice(0, 32); // Take only the 32-byte private key part
-                } else if (keyBytes.length !== 32) {
-                    throw new Error('Invalid private key byte length after hex decoding. Expected 32 bytes.');
-                }
-                
-                console.log('DEBUG: Env Final keyBytes length:', keyBytes.length);
-                keypair = Ed25519Keypair.fromSecretKey(keyBytes);
-                console.log('DEBUG: Derived address from env privateKey:', keypair.getPublicKey().toSuiAddress());
+                keypair = parsePrivateKey(privateKey, process.env.KEY_SCHEME || 'ED25519');
             } catch (error) {
-                throw new Error('Failed to load private key from environment. Make sure it\'s a valid 64-character hex string.');
+                throw new Error(`Failed to load PRIVATE_KEY from environment: ${error.message}`);
             }
         } else {
             throw new Error('Either MNEMONIC or PRIVATE_KEY must be set in the .env file, or provide walletCredentials');
@@ -102,7 +73,14 @@ export async function submitForVetting(walletCredentials = null) {
     }
 
     const address = keypair.getPublicKey().toSuiAddress();
-    console.log('DEBUG: Final wallet address being used:', address);
+
+    if (sponsored) {
+        return submitSponsored(client, keypair, PACKAGE_ID, VETTING_TABLE_ID);
+    }
+
+    if (autoTopUp && walletCredentials?.userId) {
+        await ensureGasForOperation(walletCredentials.userId, 'vetting.submit', { client });
+    }
 
     // Check balance
     try {
@@ -137,10 +115,12 @@ export async function submitForVetting(walletCredentials = null) {
         });
         
         if (result.effects?.status?.status === 'success') {
+            await clearClosedDecision(address, VETTING_TABLE_ID);
             return {
                 success: true,
                 transactionDigest: result.digest,
                 applicantAddress: address,
+                vettingTableId: VETTING_TABLE_ID,
                 message: 'Vetting submission successful'
             };
         } else {
@@ -151,4 +131,39 @@ export async function submitForVetting(walletCredentials = null) {
         console.error('Error executing transaction:', error.message);
         throw error;
     }
+}
+
+// The sponsor wallet pays the gas, so the applicant's wallet may be empty
+async function submitSponsored(client, keypair, packageId, vettingTableId) {
+    const address = keypair.getPublicKey().toSuiAddress();
+    await assertSponsorshipAllowed(address);
+
+    const tx = new Transaction();
+    tx.moveCall({
+        target: `${packageId}::vetting::submit_for_vetting`,
+        arguments: [tx.object(vettingTableId)],
+    });
+
+    try {
+        const transactionBytes = await buildSponsoredTransaction(tx, address, client);
+        const { signature } = await keypair.signTransaction(transactionBytes);
+        const result = await executeSponsoredTransaction(client, transactionBytes, Transaction.from(transactionBytes).getData(), signature);
+
+        if (result.effects?.status?.status !== 'success') {
+            throw new Error(`Transaction failed: ${result.effects?.status?.error || 'Unknown error'}`);
+        }
+
+        await clearClosedDecision(address, vettingTableId);
+        return {
+            success: true,
+            transactionDigest: result.digest,
+            applicantAddress: address,
+            vettingTableId,
+            sponsored: true,
+            message: 'Sponsored vetting submission successful'
+        };
+    } catch (error) {
+        console.error('Error executing sponsored transaction:', error.message);
+        throw error;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,57 @@
+import { normalizeSuiAddress, normalizeSuiObjectId } from '@mysten/sui/utils';
+import { listJsonFiles, readJson, updateJson } from './jsonStore.js';
+import { isDefaultVettingTable } from './vettingTables.js';
+
+const DECISIONS_FILE = 'vetting-decisions.json';
+const TABLE_DECISIONS_FILE_PATTERN = /^vetting-decisions-(0x[0-9a-f]{64})\.json$/;
+
+function decisionsFile(vettingTableId) {
+    return isDefaultVettingTable(vettingTableId) ? DECISIONS_FILE : `vetting-decisions-${normalizeSuiObjectId(vettingTableId)}.json`;
+}
+
+// Admin decisions are recorded locally because the VettingTable only stores a bool per address,
+// which can't tell a pending application apart from a rejected or revoked one.
+export async function recordVettingDecision(applicantAddress, decision, transactionDigest, details = {}, vettingTableId = null) {
+    return updateJson(decisionsFile(vettingTableId), {}, (decisions) => {
+        const entry = {
+            decision,
+            transactionDigest,
+            decidedAt: new Date().toISOString(),
+            ...details
+        };
+        decisions[normalizeSuiAddress(applicantAddress)] = entry;
+        return entry;
+    });
+}
+
+// A new submission reopens a rejected or revoked application, so that decision no longer applies.
+// Approvals are kept: they carry the expiry that re-vetting is based on.
+export async function clearClosedDecision(applicantAddress, vettingTableId = null) {
+    return updateJson(decisionsFile(vettingTableId), {}, (decisions) => {
+        const address = normalizeSuiAddress(applicantAddress);
+        const decision = decisions[address]?.decision;
+        if (decision === 'rejected' || decision === 'revoked') {
+            delete decisions[address];
+        }
+    });
+}
+
+export async function getVettingDecision(applicantAddress, vettingTableId = null) {
+    const decisions = await readJson(decisionsFile(vettingTableId), {});
+    return decisions[normalizeSuiAddress(applicantAddress)] || null;
+}
+
+// Returns every recorded decision for a table keyed by normalized address, for bulk lookups
+export async function getVettingDecisions(vettingTableId = null) {
+    return readJson(decisionsFile(vettingTableId), {});
+}
+
+// Every table with recorded decisions: the default table (null when VETTING_TABLE_ID is unset)
+// first, then each other table a decision was recorded for, registered or given by object ID
+export async function listDecisionTableIds() {
+    const otherTableIds = (await listJsonFiles())
+        .map((fileName) => fileName.match(TABLE_DECISIONS_FILE_PATTERN)?.[1])
+        .filter((vettingTableId) => vettingTableId && !isDefaultVettingTable(vettingTableId));
+    const defaultTableId = process.env.VETTING_TABLE_ID ? normalizeSuiObjectId(process.env.VETTING_TABLE_ID) : null;
+    return [defaultTableId, ...otherTableIds];
+}
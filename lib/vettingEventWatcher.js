@@ -0,0 +1,114 @@
+import { SuiClient } from '@mysten/sui/client';
+import * as dotenv from 'dotenv';
+import { readJson, writeJson } from './jsonStore.js';
+import { emitEvent, emittedKey, wasEmitted } from './webhooks.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const CURSOR_FILE = 'event-watcher.json';
+
+// Move event names are matched loosely so renamed structs (e.g. VettingSubmitted vs SubmittedForVetting) still map
+const EVENT_TYPE_PATTERNS = [
+    [/submit/i, 'vetting.submitted'],
+    [/approv/i, 'vetting.approved'],
+    [/reject/i, 'vetting.rejected'],
+    [/revok/i, 'vetting.revoked']
+];
+
+export function mapChainEvent(moveEventType) {
+    const eventName = moveEventType.split('::').pop();
+    const match = EVENT_TYPE_PATTERNS.find(([pattern]) => pattern.test(eventName));
+    return match ? match[1] : null;
+}
+
+// Polls vetting module events once, announcing anything the API didn't already announce itself
+export async function pollVettingEvents() {
+    const PACKAGE_ID = process.env.PACKAGE_ID;
+    if (!PACKAGE_ID) {
+        throw new Error('PACKAGE_ID not set in .env file');
+    }
+
+    const client = new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' });
+    const state = await readJson(CURSOR_FILE, { cursor: null, initialized: false });
+
+    // First run starts from the newest event instead of replaying the package's whole history
+    if (!state.initialized) {
+        const latest = await client.queryEvents({
+            query: { MoveModule: { package: PACKAGE_ID, module: 'vetting' } },
+            limit: 1,
+            order: 'descending'
+        });
+        const cursor = latest.data[0]?.id ?? null;
+        await writeJson(CURSOR_FILE, { cursor, initialized: true });
+        return { announced: 0, cursor };
+    }
+
+    let cursor = state.cursor;
+    let announced = 0;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+        const page = await client.queryEvents({
+            query: { MoveModule: { package: PACKAGE_ID, module: 'vetting' } },
+            cursor,
+            order: 'ascending'
+        });
+
+        for (const event of page.data) {
+            const type = mapChainEvent(event.type);
+            const transactionDigest = event.id.txDigest;
+            // One transaction can hold several events (a batch approval), so each is keyed on its own
+            const eventKey = `chain:${transactionDigest}:${event.id.eventSeq}`;
+            if (!type || await wasEmitted(emittedKey(type, transactionDigest), eventKey)) {
+                continue;
+            }
+
+            await emitEvent(type, {
+                transactionDigest,
+                sender: event.sender,
+                moveEventType: event.type,
+                parsedJson: event.parsedJson,
+                timestampMs: event.timestampMs
+            }, { source: 'chain', dedupeKey: eventKey });
+            announced += 1;
+        }
+
+        // Older nodes return a null cursor on an empty page; keep the last one we saw
+        cursor = page.nextCursor ?? cursor;
+        hasNextPage = page.hasNextPage;
+    }
+
+    await writeJson(CURSOR_FILE, { cursor, initialized: true });
+    return { announced, cursor };
+}
+
+// Starts polling when WEBHOOK_EVENT_POLL_SECONDS is set
+export function startVettingEventWatcher() {
+    const intervalSeconds = Number(process.env.WEBHOOK_EVENT_POLL_SECONDS || 0);
+    if (!intervalSeconds) {
+        return null;
+    }
+
+    let polling = false;
+    const timer = setInterval(async () => {
+        if (polling) {
+            return;
+        }
+        polling = true;
+        try {
+            const result = await pollVettingEvents();
+            if (result.announced > 0) {
+                console.log(`🔔 Announced ${result.announced} on-chain vetting event(s)`);
+            }
+        } catch (error) {
+            console.error('Vetting event watcher error:', error.message);
+        } finally {
+            polling = false;
+        }
+    }, intervalSeconds * 1000);
+    timer.unref();
+
+    console.log(`🔔 Watching on-chain vetting events every ${intervalSeconds} seconds`);
+    return timer;
+}
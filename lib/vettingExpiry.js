@@ -0,0 +1,104 @@
+import * as dotenv from 'dotenv';
+import { isPendingAdminTransaction } from './adminTransactions.js';
+import { getVettingDecisions, listDecisionTableIds } from './vettingDecisions.js';
+import { revokeVetting } from './revokeVetting.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function getDefaultValidityDays() {
+    return Number(process.env.VETTING_APPROVAL_VALIDITY_DAYS || 365);
+}
+
+// Expiry fields stored with an approval decision; on-chain approvals are permanent,
+// so expiry is tracked by the API alone.
+export function buildApprovalExpiry(validityDays = getDefaultValidityDays(), approvedAt = new Date()) {
+    return {
+        validForDays: validityDays,
+        expiresAt: new Date(approvedAt.getTime() + validityDays * DAY_MS).toISOString()
+    };
+}
+
+// Approvals recorded before expiry tracking existed have no expiresAt and never expire
+export function isApprovalExpired(decision, now = new Date()) {
+    return decision?.decision === 'approved' &&
+        Boolean(decision.expiresAt) &&
+        new Date(decision.expiresAt) <= now;
+}
+
+// Lists approvals in every vetting table that have expired or will within the given number of days
+export async function findDueForRevetting(withinDays = 0) {
+    const cutoff = new Date(Date.now() + withinDays * DAY_MS);
+    const due = [];
+
+    for (const vettingTableId of await listDecisionTableIds()) {
+        const decisions = await getVettingDecisions(vettingTableId);
+        for (const [applicantAddress, decision] of Object.entries(decisions)) {
+            if (decision.decision === 'approved' && decision.expiresAt && new Date(decision.expiresAt) <= cutoff) {
+                due.push({
+                    applicantAddress,
+                    vettingTableId,
+                    approvedAt: decision.decidedAt,
+                    expiresAt: decision.expiresAt,
+                    expired: isApprovalExpired(decision)
+                });
+            }
+        }
+    }
+
+    return due.sort((a, b) => a.expiresAt.localeCompare(b.expiresAt));
+}
+
+// Finds expired approvals and, when revoke is set, revokes each of them on-chain
+export async function sweepExpiredApprovals({ revoke = false } = {}) {
+    const expired = (await findDueForRevetting(0)).filter((entry) => entry.expired);
+
+    if (!revoke) {
+        return { success: true, revoked: false, expired };
+    }
+
+    const results = [];
+    for (const entry of expired) {
+        try {
+            const result = await revokeVetting(entry.applicantAddress, { vettingTable: entry.vettingTableId });
+            if (isPendingAdminTransaction(result)) {
+                // Later sweeps find the same pending revocation instead of proposing another
+                results.push({ ...entry, result: 'pending_signatures', pendingTransactionId: result.pendingTransactionId });
+            } else {
+                results.push({ ...entry, result: 'revoked', transactionDigest: result.transactionDigest });
+            }
+        } catch (error) {
+            results.push({ ...entry, result: 'failed', error: error.message });
+        }
+    }
+
+    return {
+        success: results.every((entry) => entry.result !== 'failed'),
+        revoked: true,
+        expired: results
+    };
+}
+
+// Runs the sweep every VETTING_EXPIRY_SWEEP_INTERVAL_MINUTES, revoking on-chain when VETTING_EXPIRY_AUTO_REVOKE=true
+export function scheduleExpirySweep() {
+    const intervalMinutes = Number(process.env.VETTING_EXPIRY_SWEEP_INTERVAL_MINUTES || 0);
+    if (!intervalMinutes) {
+        return null;
+    }
+
+    const revoke = process.env.VETTING_EXPIRY_AUTO_REVOKE === 'true';
+    const timer = setInterval(async () => {
+        try {
+            const result = await sweepExpiredApprovals({ revoke });
+            if (result.expired.length > 0) {
+                console.log(`⏰ Vetting expiry sweep found ${result.expired.length} expired approval(s)`, revoke ? '(revoking)' : '');
+            }
+        } catch (error) {
+            console.error('Vetting expiry sweep error:', error.message);
+        }
+    }, intervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+}
@@ -0,0 +1,57 @@
+import * as dotenv from 'dotenv';
+import { statusOfVetting } from './statusOfVetting.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+export const VETTING_REQUIRED_CODE = 'VETTING_REQUIRED';
+export const VETTING_STATUS_UNAVAILABLE_CODE = 'VETTING_STATUS_UNAVAILABLE';
+
+// VETTING_GATED_BRAAV_VERSIONS is a comma-separated list such as "BRAAV16,BRAAV17", or "*" for every version
+export function isVettingGated(braavVersion) {
+    const gatedVersions = (process.env.VETTING_GATED_BRAAV_VERSIONS || '')
+        .split(',')
+        .map((version) => version.trim())
+        .filter(Boolean);
+
+    return gatedVersions.includes('*') || gatedVersions.includes(braavVersion);
+}
+
+// Resolves to null when the recipient may receive the badge, or to { httpStatus, body } describing the rejection.
+// vettingTable selects the table the approval must be in, by default VETTING_TABLE_ID.
+export async function checkVettingGate(recipientAddress, braavVersion, vettingTable = null) {
+    if (!isVettingGated(braavVersion)) {
+        return null;
+    }
+
+    const vettingStatus = await statusOfVetting(recipientAddress, { vettingTable });
+
+    if (vettingStatus.status === 'error') {
+        return {
+            httpStatus: vettingStatus.errorType === 'rpc_unavailable' ? 503 : 502,
+            body: {
+                success: false,
+                code: VETTING_STATUS_UNAVAILABLE_CODE,
+                error: 'Could not verify the recipient vetting status',
+                vettingStatus
+            }
+        };
+    }
+
+    if (vettingStatus.status !== 'approved') {
+        return {
+            httpStatus: 403,
+            body: {
+                success: false,
+                code: VETTING_REQUIRED_CODE,
+                error: vettingStatus.hasApplied
+                    ? `Recipient vetting is ${vettingStatus.status}; ${braavVersion} requires an approved vetting`
+                    : `Recipient has not applied for vetting; ${braavVersion} requires an approved vetting`,
+                recipientAddress,
+                vettingStatus: vettingStatus.status
+            }
+        };
+    }
+
+    return null;
+}
@@ -0,0 +1,263 @@
+import { normalizeSuiAddress, normalizeSuiObjectId } from '@mysten/sui/utils';
+import * as dotenv from 'dotenv';
+import { isPendingAdminTransaction, onAdminTransactionSettled } from './adminTransactions.js';
+import { readJson, updateJson } from './jsonStore.js';
+import { approveVetting } from './approveVetting.js';
+import { resolveBadgeOption } from './badgeMinting.js';
+import { rejectVetting } from './rejectVetting.js';
+import { statusOfVetting } from './statusOfVetting.js';
+import { isDefaultVettingTable, resolveVettingTableId } from './vettingTables.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const REVIEWS_FILE = 'vetting-reviews.json';
+
+// Reviews whose on-chain decision this process is running right now; an 'executing' review
+// that isn't here was left behind by a crash or restart and can be reopened
+const inFlight = new Set();
+
+// Like decisions, reviews for the env default table keep their original file and other tables get one file each
+function reviewsFile(vettingTableId) {
+    return isDefaultVettingTable(vettingTableId) ? REVIEWS_FILE : `vetting-reviews-${normalizeSuiObjectId(vettingTableId)}.json`;
+}
+
+export function getReviewQuorum() {
+    return Number(process.env.VETTING_REVIEW_QUORUM || 2);
+}
+
+// When set, approvals must go through reviewer votes instead of /api/approve-vetting
+export function isReviewRequired() {
+    return process.env.REQUIRE_VETTING_REVIEW === 'true';
+}
+
+function reviewError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Each reviewer's most recent vote counts, so a reviewer can change their mind before quorum
+function tallyVotes(votes) {
+    const latestByReviewer = new Map();
+    for (const vote of votes) {
+        latestByReviewer.set(vote.reviewer, vote.vote);
+    }
+
+    const latestVotes = [...latestByReviewer.values()];
+    return {
+        approve: latestVotes.filter((vote) => vote === 'approve').length,
+        deny: latestVotes.filter((vote) => vote === 'deny').length
+    };
+}
+
+function emptyReview(vettingTableId) {
+    return {
+        vettingTableId,
+        status: 'open',
+        votes: [],
+        outcome: null,
+        transactionDigest: null,
+        resolvedAt: null,
+        lastError: null
+    };
+}
+
+export async function castReviewVote(applicantAddress, reviewer, vote, comment = '', { vettingTable = null } = {}) {
+    const address = normalizeSuiAddress(applicantAddress);
+    const vettingTableId = await resolveVettingTableId(vettingTable);
+    const file = reviewsFile(vettingTableId);
+
+    const current = await statusOfVetting(address, { vettingTable: vettingTableId });
+    if (current.status === 'error') {
+        throw reviewError(`Could not check vetting status: ${current.message}`, 502);
+    }
+    // Expired approvals are reviewed again for re-vetting
+    if (current.status !== 'pending' && current.status !== 'expired') {
+        throw reviewError(`Only pending or expired applications can be reviewed (current status: ${current.status})`, 409);
+    }
+
+    const quorum = getReviewQuorum();
+
+    // Record the vote and claim the on-chain action in one step, so two votes
+    // arriving together can't both trigger approve_vetting.
+    const key = `${file}:${address}`;
+    const { review, action } = await updateJson(file, {}, (reviews) => {
+        const entry = reviews[address] || emptyReview(vettingTableId);
+        if (entry.status === 'resolved') {
+            // The applicant re-applied or their approval expired: start a new review round.
+            // Earlier votes stay in the history but no longer count.
+            entry.previousRounds = [...(entry.previousRounds || []), {
+                votes: entry.votes,
+                outcome: entry.outcome,
+                transactionDigest: entry.transactionDigest,
+                resolvedAt: entry.resolvedAt
+            }];
+            Object.assign(entry, emptyReview(vettingTableId), { previousRounds: entry.previousRounds });
+        }
+        if (entry.status !== 'open') {
+            throw reviewError(`Review for ${address} is already ${entry.status}`, 409);
+        }
+        entry.vettingTableId = vettingTableId;
+
+        entry.votes.push({
+            reviewer,
+            vote,
+            comment,
+            votedAt: new Date().toISOString()
+        });
+
+        const tally = tallyVotes(entry.votes);
+        let nextAction = null;
+        if (tally.approve >= quorum) {
+            nextAction = 'approve';
+        } else if (tally.deny >= quorum) {
+            nextAction = 'deny';
+        }
+        if (nextAction) {
+            entry.status = 'executing';
+            inFlight.add(key);
+        }
+
+        reviews[address] = entry;
+        return { review: entry, action: nextAction };
+    });
+
+    if (!action) {
+        return summarizeReview(address, review, quorum);
+    }
+
+    // Whatever happens below, the review must not stay 'executing': anything but a recorded
+    // outcome reopens it so the next vote retries the on-chain call
+    let settled = null;
+    let lastError = 'The on-chain decision did not complete';
+    try {
+        // Quorum approvals mint the configured default badge, if there is one
+        const result = action === 'approve'
+            ? await approveVetting(address, { badge: await resolveBadgeOption(undefined), vettingTable: vettingTableId })
+            : await rejectVetting(address, { vettingTable: vettingTableId });
+        if (isPendingAdminTransaction(result)) {
+            // A multisig admin still has to sign; the review resolves when that transaction executes
+            settled = await updateJson(file, {}, (reviews) => {
+                Object.assign(reviews[address], {
+                    status: 'awaiting_signatures',
+                    pendingTransactionId: result.pendingTransactionId,
+                    lastError: null
+                });
+                return reviews[address];
+            });
+        } else {
+            settled = await updateJson(file, {}, (reviews) => {
+                Object.assign(reviews[address], {
+                    status: 'resolved',
+                    outcome: action === 'approve' ? 'approved' : 'rejected',
+                    transactionDigest: result.transactionDigest,
+                    resolvedAt: new Date().toISOString(),
+                    lastError: null
+                });
+                return reviews[address];
+            });
+        }
+        return summarizeReview(address, settled, quorum);
+    } catch (error) {
+        lastError = error.message;
+        throw error;
+    } finally {
+        inFlight.delete(key);
+        if (!settled) {
+            await reopenExecutingReview(file, address, lastError)
+                .catch((error) => console.error(`Could not reopen the review for ${address}:`, error.message));
+        }
+    }
+}
+
+function reopenExecutingReview(file, address, lastError) {
+    return updateJson(file, {}, (reviews) => {
+        const review = reviews[address];
+        if (review?.status === 'executing') {
+            review.status = 'open';
+            review.lastError = lastError;
+        }
+        return review;
+    });
+}
+
+// Reopens a review left 'executing' by an interrupted decision (a crash or restart mid-call),
+// so votes can retry it. One whose decision is still running can't be reopened.
+export async function reopenReview(applicantAddress, { vettingTable = null } = {}) {
+    const address = normalizeSuiAddress(applicantAddress);
+    const vettingTableId = await resolveVettingTableId(vettingTable);
+    const file = reviewsFile(vettingTableId);
+
+    const review = await updateJson(file, {}, (reviews) => {
+        const entry = reviews[address];
+        if (!entry) {
+            throw reviewError(`No review for ${address}`, 404);
+        }
+        if (entry.status !== 'executing') {
+            throw reviewError(`Review for ${address} is ${entry.status}; only a review stuck executing can be reopened`, 409);
+        }
+        if (inFlight.has(`${file}:${address}`)) {
+            throw reviewError(`The decision for ${address} is being executed right now`, 409);
+        }
+        entry.status = 'open';
+        entry.lastError = 'Reopened after its on-chain decision was interrupted';
+        return entry;
+    });
+    return summarizeReview(address, review, getReviewQuorum());
+}
+
+function summarizeReview(applicantAddress, review, quorum) {
+    return {
+        applicantAddress,
+        vettingTableId: review.vettingTableId ?? null,
+        status: review.status,
+        outcome: review.outcome,
+        quorum,
+        tally: tallyVotes(review.votes),
+        transactionDigest: review.transactionDigest,
+        pendingTransactionId: review.pendingTransactionId || null,
+        resolvedAt: review.resolvedAt,
+        lastError: review.lastError,
+        votes: review.votes,
+        previousRounds: review.previousRounds || []
+    };
+}
+
+export async function getReviewHistory(applicantAddress, { vettingTable = null } = {}) {
+    const address = normalizeSuiAddress(applicantAddress);
+    const vettingTableId = await resolveVettingTableId(vettingTable);
+    const reviews = await readJson(reviewsFile(vettingTableId), {});
+    return summarizeReview(address, reviews[address] || emptyReview(vettingTableId), getReviewQuorum());
+}
+
+// Settles reviews whose quorum decision was waiting on the admin multisig
+onAdminTransactionSettled(async (transaction) => {
+    if (transaction.operation !== 'vetting.approve' && transaction.operation !== 'vetting.reject') {
+        return;
+    }
+
+    await updateJson(reviewsFile(transaction.params?.vettingTableId), {}, (reviews) => {
+        const review = Object.values(reviews).find((entry) => entry.pendingTransactionId === transaction.id);
+        if (!review || review.status !== 'awaiting_signatures') {
+            return;
+        }
+        if (transaction.status === 'executed') {
+            Object.assign(review, {
+                status: 'resolved',
+                outcome: transaction.operation === 'vetting.approve' ? 'approved' : 'rejected',
+                transactionDigest: transaction.transactionDigest,
+                resolvedAt: transaction.executedAt,
+                pendingTransactionId: null,
+                lastError: null
+            });
+        } else {
+            // Failed or cancelled: reopen so the next vote proposes the decision again
+            Object.assign(review, {
+                status: 'open',
+                pendingTransactionId: null,
+                lastError: transaction.error || `Admin transaction ${transaction.status}`
+            });
+        }
+    });
+});
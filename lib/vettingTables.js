@@ -0,0 +1,92 @@
+import { isValidSuiObjectId, normalizeSuiObjectId } from '@mysten/sui/utils';
+import * as dotenv from 'dotenv';
+import { readJson, updateJson } from './jsonStore.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const TABLES_FILE = 'vetting-tables.json';
+const TABLE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+
+function tableError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+export function isValidVettingTableName(name) {
+    return typeof name === 'string' && TABLE_NAME_PATTERN.test(name);
+}
+
+function looksLikeObjectId(value) {
+    return /^0x[0-9a-fA-F]+$/.test(value) && isValidSuiObjectId(normalizeSuiObjectId(value));
+}
+
+export async function getVettingTable(name) {
+    const tables = await readJson(TABLES_FILE, {});
+    return tables[name] || null;
+}
+
+export async function assertVettingTableNameAvailable(name) {
+    if (!isValidVettingTableName(name)) {
+        throw tableError('Table name must start with a letter and contain only letters, digits, "-" or "_" (max 64 characters)', 400);
+    }
+    if (await getVettingTable(name)) {
+        throw tableError(`A vetting table named "${name}" is already registered`, 409);
+    }
+}
+
+export async function registerVettingTable(name, vettingTableId, transactionDigest = null) {
+    await assertVettingTableNameAvailable(name);
+    if (!looksLikeObjectId(vettingTableId)) {
+        throw tableError(`Invalid vetting table ID: ${vettingTableId}`, 400);
+    }
+
+    return updateJson(TABLES_FILE, {}, (tables) => {
+        if (tables[name]) {
+            throw tableError(`A vetting table named "${name}" is already registered`, 409);
+        }
+        const entry = {
+            name,
+            vettingTableId: normalizeSuiObjectId(vettingTableId),
+            transactionDigest,
+            registeredAt: new Date().toISOString()
+        };
+        tables[name] = entry;
+        return entry;
+    });
+}
+
+export async function listVettingTables() {
+    const tables = await readJson(TABLES_FILE, {});
+    return {
+        defaultVettingTableId: process.env.VETTING_TABLE_ID || null,
+        tables: Object.values(tables)
+    };
+}
+
+// Accepts a registered name or an object ID; nothing selected means the VETTING_TABLE_ID default.
+// Returns null when there is no selection and no default.
+export async function resolveVettingTableId(vettingTable = null) {
+    if (!vettingTable) {
+        return process.env.VETTING_TABLE_ID || null;
+    }
+    if (typeof vettingTable !== 'string') {
+        throw tableError('vettingTable must be a table name or object ID', 400);
+    }
+    if (looksLikeObjectId(vettingTable)) {
+        return normalizeSuiObjectId(vettingTable);
+    }
+
+    const entry = await getVettingTable(vettingTable);
+    if (!entry) {
+        throw tableError(`No vetting table registered under the name "${vettingTable}"`, 404);
+    }
+    return entry.vettingTableId;
+}
+
+// Decisions for the env default table keep their original file; other tables get one file each
+export function isDefaultVettingTable(vettingTableId) {
+    return !vettingTableId || (Boolean(process.env.VETTING_TABLE_ID) &&
+        normalizeSuiObjectId(vettingTableId) === normalizeSuiObjectId(process.env.VETTING_TABLE_ID));
+}
@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import * as dotenv from 'dotenv';
+import { readJson, updateJson } from './jsonStore.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const SUBSCRIPTIONS_FILE = 'webhooks.json';
+const DELIVERIES_FILE = 'webhook-deliveries.json';
+const EMITTED_FILE = 'webhook-emitted.json';
+
+export const WEBHOOK_EVENTS = [
+    'vetting.submitted',
+    'vetting.approved',
+    'vetting.rejected',
+    'vetting.revoked',
+    'nft.minted',
+    'restricted_nft.minted',
+    'nft.edited'
+];
+
+function getDeliveryConfig() {
+    return {
+        maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5),
+        baseDelayMs: Number(process.env.WEBHOOK_RETRY_BASE_DELAY_MS || 1000),
+        timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 10000),
+        logLimit: Number(process.env.WEBHOOK_DELIVERY_LOG_LIMIT || 1000)
+    };
+}
+
+function webhookError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// The secret is only returned here; later listings omit it
+export async function createSubscription(url, events, secret = crypto.randomBytes(32).toString('hex')) {
+    const unknownEvents = events.filter((event) => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknownEvents.length > 0) {
+        throw webhookError(`Unknown webhook events: ${unknownEvents.join(', ')}`, 400);
+    }
+
+    return updateJson(SUBSCRIPTIONS_FILE, { subscriptions: [] }, (store) => {
+        const subscription = {
+            id: crypto.randomUUID(),
+            url,
+            events,
+            secret,
+            createdAt: new Date().toISOString()
+        };
+        store.subscriptions.push(subscription);
+        return subscription;
+    });
+}
+
+export async function listSubscriptions() {
+    const { subscriptions } = await readJson(SUBSCRIPTIONS_FILE, { subscriptions: [] });
+    return subscriptions.map(({ secret, ...subscription }) => subscription);
+}
+
+export async function deleteSubscription(id) {
+    return updateJson(SUBSCRIPTIONS_FILE, { subscriptions: [] }, (store) => {
+        const before = store.subscriptions.length;
+        store.subscriptions = store.subscriptions.filter((subscription) => subscription.id !== id);
+        if (store.subscriptions.length === before) {
+            throw webhookError(`No webhook subscription with id ${id}`, 404);
+        }
+        return { id, deleted: true };
+    });
+}
+
+export async function listDeliveries({ subscriptionId = null, status = null, limit = 100 } = {}) {
+    const { deliveries } = await readJson(DELIVERIES_FILE, { deliveries: [] });
+    return deliveries
+        .filter((delivery) => !subscriptionId || delivery.subscriptionId === subscriptionId)
+        .filter((delivery) => !status || delivery.status === status)
+        .slice(-limit)
+        .reverse();
+}
+
+// Receivers verify X-Webhook-Signature by recomputing this HMAC over the raw request body
+export function signPayload(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+async function saveDelivery(delivery) {
+    const { logLimit } = getDeliveryConfig();
+    await updateJson(DELIVERIES_FILE, { deliveries: [] }, (store) => {
+        const index = store.deliveries.findIndex((entry) => entry.id === delivery.id);
+        if (index === -1) {
+            store.deliveries.push(delivery);
+        } else {
+            store.deliveries[index] = delivery;
+        }
+        // Trim the oldest settled entries only; pending ones still have retries to run
+        let excess = store.deliveries.length - logLimit;
+        if (excess > 0) {
+            store.deliveries = store.deliveries.filter((entry) => {
+                if (excess > 0 && entry.status !== 'pending') {
+                    excess -= 1;
+                    return false;
+                }
+                return true;
+            });
+        }
+    });
+}
+
+async function attemptDelivery(delivery, subscription) {
+    const { maxAttempts, baseDelayMs, timeoutMs } = getDeliveryConfig();
+    const body = JSON.stringify(delivery.event);
+
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date().toISOString();
+
+    try {
+        const response = await fetch(subscription.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Webhook-Event': delivery.event.type,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Signature': signPayload(subscription.secret, body)
+            },
+            body,
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+
+        delivery.lastStatusCode = response.status;
+        if (!response.ok) {
+            throw new Error(`Receiver answered ${response.status}`);
+        }
+
+        delivery.status = 'delivered';
+        delivery.lastError = null;
+        delivery.nextAttemptAt = null;
+    } catch (error) {
+        delivery.lastError = error.message;
+        if (delivery.attempts >= maxAttempts) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+        } else {
+            // Exponential backoff: base, 2x base, 4x base, ...
+            delivery.nextAttemptAt = new Date(Date.now() + baseDelayMs * 2 ** (delivery.attempts - 1)).toISOString();
+        }
+    }
+
+    // Persist the attempt before scheduling the next one, so the log never runs behind a retry
+    await saveDelivery(delivery);
+    if (delivery.nextAttemptAt) {
+        scheduleDelivery(delivery, subscription, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+    }
+}
+
+// Retries run outside any request, so their errors (such as a failed log write) are logged here
+function scheduleDelivery(delivery, subscription, delayMs) {
+    setTimeout(() => {
+        attemptDelivery(delivery, subscription).catch((error) => {
+            console.error(`Webhook delivery error for ${delivery.id}:`, error.message);
+        });
+    }, Math.max(0, delayMs)).unref();
+}
+
+// Keys of events already announced, kept on disk so the chain watcher, replaying from its cursor
+// after a restart, doesn't announce them twice. The API records "<type>:<digest>"; the watcher
+// records each chain event it announces under its own key.
+const MAX_EMITTED_KEYS = 10000;
+
+export function emittedKey(type, transactionDigest) {
+    return `${type}:${transactionDigest}`;
+}
+
+export async function wasEmitted(...keys) {
+    const { keys: emitted } = await readJson(EMITTED_FILE, { keys: [] });
+    return keys.some((key) => emitted.includes(key));
+}
+
+function recordEmitted(key) {
+    return updateJson(EMITTED_FILE, { keys: [] }, (store) => {
+        if (!store.keys.includes(key)) {
+            store.keys.push(key);
+        }
+        if (store.keys.length > MAX_EMITTED_KEYS) {
+            store.keys.splice(0, store.keys.length - MAX_EMITTED_KEYS);
+        }
+    });
+}
+
+// Fire-and-forget: deliveries run in the background and never fail the calling request.
+// The returned promise settles once the event is recorded as announced (it never rejects),
+// for callers such as the watcher that must not move on before that.
+export function emitEvent(type, data, { source = 'api', dedupeKey = null } = {}) {
+    const key = dedupeKey || (data?.transactionDigest ? emittedKey(type, data.transactionDigest) : null);
+    const recorded = key ? recordEmitted(key) : Promise.resolve();
+
+    recorded
+        .catch((error) => console.error(`Could not record webhook event ${key}:`, error.message))
+        .then(() => dispatchEvent(type, data, source))
+        .catch((error) => {
+            console.error(`Webhook dispatch error for ${type}:`, error.message);
+        });
+    return recorded.catch(() => {});
+}
+
+async function dispatchEvent(type, data, source) {
+    const { subscriptions } = await readJson(SUBSCRIPTIONS_FILE, { subscriptions: [] });
+    const event = {
+        id: crypto.randomUUID(),
+        type,
+        source,
+        createdAt: new Date().toISOString(),
+        data
+    };
+
+    for (const subscription of subscriptions) {
+        if (!subscription.events.includes('*') && !subscription.events.includes(type)) {
+            continue;
+        }
+
+        const delivery = {
+            id: crypto.randomUUID(),
+            subscriptionId: subscription.id,
+            url: subscription.url,
+            event,
+            status: 'pending',
+            attempts: 0,
+            lastStatusCode: null,
+            lastError: null,
+            lastAttemptAt: null,
+            nextAttemptAt: null
+        };
+        await attemptDelivery(delivery, subscription);
+    }
+}
+
+// Reschedules deliveries that were still pending when the server last stopped
+export async function resumePendingDeliveries() {
+    const { deliveries } = await readJson(DELIVERIES_FILE, { deliveries: [] });
+    const { subscriptions } = await readJson(SUBSCRIPTIONS_FILE, { subscriptions: [] });
+
+    for (const delivery of deliveries.filter((entry) => entry.status === 'pending')) {
+        const subscription = subscriptions.find((entry) => entry.id === delivery.subscriptionId);
+        if (!subscription) {
+            continue;
+        }
+        scheduleDelivery(delivery, subscription, new Date(delivery.nextAttemptAt || 0).getTime() - Date.now());
+    }
+}
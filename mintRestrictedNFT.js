@@ -1,13 +1,46 @@
 import { Transaction } from "@mysten/sui/transactions";
 import { SuiClient } from "@mysten/sui/client";
-import { Ed25519Keypair } from "@mysten/sui/keypairs/ed25519";
 import { isValidSuiAddress } from "@mysten/sui/utils";
+import { executeAdminTransaction, registerAdminOperation } from "./lib/adminTransactions.js";
 
 const GAS_BUDGET = 10000000;
 
-export async function mintRestrictedNFT(mnemonic, packageId, suiNetwork, supplyCapId, creatorCapId, lineageId, counterId, recipientAddress, nftName, coinId, braavVersion) {
+async function finalizeRestrictedMint(result, { recipientAddress, nftName, coinId, braavVersion }) {
+  if (result.effects?.status.status !== "success") {
+    throw new Error(`Transaction failed: ${result.effects?.status.error || JSON.stringify(result, null, 2)}`);
+  }
+
+  // Extract the minted RestrictedNFT object ID
+  const createdRestrictedNFT = result.objectChanges?.find(
+    (change) => change.type === 'created' && change.objectType.includes('::braav_public::RestrictedNFT')
+  );
+
+  const restrictedNftObjectId = createdRestrictedNFT?.objectId;
+
+  if (!restrictedNftObjectId) {
+    throw new Error("Failed to retrieve RestrictedNFT object ID");
+  }
+
+  console.log(`✅ Minted non-transferable RestrictedNFT for ${recipientAddress}`);
+  console.log(`🆔 RestrictedNFT Object ID: ${restrictedNftObjectId}`);
+  console.log(`ℹ️  Note: Only admins can transfer this NFT using restricted_transfer.`);
+
+  return {
+    success: true,
+    transactionDigest: result.digest,
+    restrictedNftObjectId,
+    recipientAddress,
+    nftName,
+    coinId,
+    braavVersion,
+    gasUsed: result.effects?.gasUsed,
+  };
+}
+
+registerAdminOperation("restricted_nft.mint", finalizeRestrictedMint);
+
+export async function mintRestrictedNFT(signer, packageId, suiNetwork, supplyCapId, creatorCapId, lineageId, counterId, recipientAddress, nftName, coinId, braavVersion) {
   try {
-    if (!mnemonic) throw new Error("MNEMONIC not set");
     if (!packageId) throw new Error("PACKAGE_ID not set");
     if (!suiNetwork) throw new Error("SUI_NETWORK not set");
     if (!supplyCapId) throw new Error("SUPPLY_CAP_ID not set");
@@ -21,7 +54,6 @@ export async function mintRestrictedNFT(mnemonic, packageId, suiNetwork, supplyC
     if (!braavVersion) throw new Error("braavVersion is required");
 
     const client = new SuiClient({ url: suiNetwork });
-    const keypair = Ed25519Keypair.deriveKeypair(mnemonic);
     
     const nftType = `${packageId}::xoa::${braavVersion}`;
     
@@ -55,47 +87,18 @@ export async function mintRestrictedNFT(mnemonic, packageId, suiNetwork, supplyC
 
     tx.setGasBudget(GAS_BUDGET);
 
-    const result = await client.signAndExecuteTransaction({
-      signer: keypair,
-      transaction: tx,
-      options: { 
-        showObjectChanges: true, 
+    return await executeAdminTransaction(tx, {
+      operation: "restricted_nft.mint",
+      params: { recipientAddress, nftName, coinId, braavVersion },
+      options: {
+        showObjectChanges: true,
         showEffects: true,
         showEvents: true,
         showInput: true,
       },
+      signer,
+      client,
     });
-
-    if (result.effects?.status.status !== "success") {
-      throw new Error(`Transaction failed: ${result.effects?.status.error || JSON.stringify(result, null, 2)}`);
-    }
-
-    // Extract the minted RestrictedNFT object ID
-    const createdRestrictedNFT = result.objectChanges?.find(
-      (change) => change.type === 'created' && change.objectType.includes('::braav_public::RestrictedNFT')
-    );
-
-    const restrictedNftObjectId = createdRestrictedNFT?.objectId;
-
-    if (!restrictedNftObjectId) {
-      throw new Error("Failed to retrieve RestrictedNFT object ID");
-    }
-
-    console.log(`✅ Minted non-transferable RestrictedNFT for ${recipientAddress}`);
-    console.log(`🆔 RestrictedNFT Object ID: ${restrictedNftObjectId}`);
-    console.log(`ℹ️  Note: Only admins can transfer this NFT using restricted_transfer.`);
-
-    return {
-      success: true,
-      transactionDigest: result.digest,
-      restrictedNftObjectId,
-      recipientAddress,
-      nftName,
-      coinId,
-      braavVersion,
-      gasUsed: result.effects?.gasUsed,
-    };
-
   } catch (error) {
     console.error("❌ Error minting RestrictedNFT:", error.message);
     throw error;
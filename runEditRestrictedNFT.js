@@ -1,5 +1,6 @@
-import { editRestrictedNFT } from './editRestrictedNFT.js';
+import { editRestrictedNFT } from './lib/editRestrictedNFT.js';
 import * as dotenv from 'dotenv';
+import { isPendingAdminTransaction } from './lib/adminTransactions.js';
 
 // Load environment variables
 dotenv.config();
@@ -23,14 +24,12 @@ async function runEditRestrictedNFT() {
 
   try {
     // Get environment variables
-    const mnemonic = process.env.MNEMONIC;
     const packageId = process.env.PACKAGE_ID;
     const suiNetwork = process.env.SUI_NETWORK;
     const creatorCapId = process.env.CREATOR_CAP_ID;
 
     // Validate environment variables
     const missingEnvVars = [];
-    if (!mnemonic) missingEnvVars.push('MNEMONIC');
     if (!packageId) missingEnvVars.push('PACKAGE_ID');
     if (!suiNetwork) missingEnvVars.push('SUI_NETWORK');
     if (!creatorCapId) missingEnvVars.push('CREATOR_CAP_ID');
@@ -48,14 +47,14 @@ async function runEditRestrictedNFT() {
     console.log('  Package ID:', packageId);
     console.log('  Creator Cap ID:', creatorCapId);
     console.log('  SUI Network:', suiNetwork);
-    console.log('  Mnemonic:', mnemonic ? '***loaded***' : 'NOT SET');
+    console.log('  Admin Signer:', process.env.ADMIN_SIGNER || 'mnemonic');
     console.log('');
 
     console.log('🔄 Calling editRestrictedNFT function...');
 
     // Call the editRestrictedNFT function
     const result = await editRestrictedNFT(
-      mnemonic,
+      null, // the configured admin signer (ADMIN_SIGNER) or multisig
       packageId,
       suiNetwork,
       DEFAULT_VALUES.nftObjectId,
@@ -65,6 +64,12 @@ async function runEditRestrictedNFT() {
       DEFAULT_VALUES.braavVersion
     );
 
+    if (isPendingAdminTransaction(result)) {
+      console.log('');
+      console.log(`⏳ Edit waiting for multisig signatures: admin transaction ${result.pendingTransactionId}`);
+      return;
+    }
+
     console.log('');
     console.log('🎉 Restricted NFT Edit Successful!');
     console.log('📄 Transaction Details:');
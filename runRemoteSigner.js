@@ -0,0 +1,57 @@
+import { promises as fs } from 'fs';
+import * as dotenv from 'dotenv';
+import { decryptKeyfile } from './lib/adminSigner.js';
+import { keypairFromSuiPrivateKey } from './lib/keypairs.js';
+import { serveRemoteSigner } from './lib/remoteSigner.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Holds the admin key in its own process so the API server never loads it.
+// Start with ADMIN_KEYFILE, ADMIN_KEYFILE_PASSPHRASE and ADMIN_SIGNER_SOCKET set,
+// then run the API with ADMIN_SIGNER=remote and the same ADMIN_SIGNER_SOCKET.
+async function runRemoteSigner() {
+  const socketPath = process.env.ADMIN_SIGNER_SOCKET;
+  const keyfilePath = process.env.ADMIN_KEYFILE;
+  const passphrase = process.env.ADMIN_KEYFILE_PASSPHRASE;
+  if (!socketPath || !keyfilePath || !passphrase) {
+    throw new Error('ADMIN_SIGNER_SOCKET, ADMIN_KEYFILE and ADMIN_KEYFILE_PASSPHRASE must be set');
+  }
+
+  const keyfile = JSON.parse(await fs.readFile(keyfilePath, 'utf8'));
+  const keypair = keypairFromSuiPrivateKey(decryptKeyfile(keyfile, passphrase));
+
+  // A socket file left behind by a previous run would block listen()
+  await fs.rm(socketPath, { force: true });
+
+  // listen() creates the socket file with the process umask, so it is owner-only from the
+  // start instead of being open to other local users until the chmod below
+  const previousUmask = process.umask(0o177);
+  const server = serveRemoteSigner(socketPath, keypair);
+
+  server.on('listening', () => {
+    process.umask(previousUmask);
+    fs.chmod(socketPath, 0o600).then(() => {
+      console.log('🔐 Remote signer listening on', socketPath);
+      console.log('  Address:', keypair.toSuiAddress());
+    }).catch((error) => {
+      console.error('❌ Could not restrict the signer socket:', error.message);
+      server.close(() => process.exit(1));
+    });
+  });
+
+  server.on('error', (error) => {
+    process.umask(previousUmask);
+    console.error('❌ Remote signer failed to start:', error.message);
+    process.exit(1);
+  });
+
+  process.on('SIGINT', () => {
+    server.close(() => process.exit(0));
+  });
+}
+
+runRemoteSigner().catch((error) => {
+  console.error('❌ Remote signer failed to start:', error.message);
+  process.exit(1);
+});
@@ -1,8 +1,7 @@
 import { SuiClient } from '@mysten/sui/client';
-import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519';
 import { Transaction } from '@mysten/sui/transactions';
-import { fromHex } from '@mysten/sui/utils';
 import * as dotenv from 'dotenv';
+import { deriveKeypair, parsePrivateKey } from './lib/keypairs.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -17,28 +16,20 @@ async function submitForVetting() {
     // Try loading from different wallet sources
     const mnemonic = process.env.MNEMONIC;
     const privateKey = process.env.PRIVATE_KEY;
+    const keyScheme = process.env.KEY_SCHEME || 'ED25519';
 
     if (mnemonic) {
         console.log('Using mnemonic from environment...');
-        keypair = Ed25519Keypair.deriveKeypair(mnemonic);
+        keypair = deriveKeypair(mnemonic, keyScheme);
     } else if (privateKey) {
         console.log('Using private key from environment...');
         
         try {
-            // Handle hex private key (64 characters)
-            let keyBytes;
-            if (privateKey.length === 64) {
-                keyBytes = fromHex('0x' + privateKey);
-            } else if (privateKey.length === 66 && privateKey.startsWith('0x')) {
-                keyBytes = fromHex(privateKey);
-            } else {
-                throw new Error(`Invalid private key format. Expected 64 hex characters, got ${privateKey.length}`);
-            }
-            
-            keypair = Ed25519Keypair.fromSecretKey(keyBytes);
+            // suiprivkey1... or 64 hex characters in KEY_SCHEME
+            keypair = parsePrivateKey(privateKey, keyScheme);
         } catch (error) {
             console.error('Error loading private key:', error.message);
-            throw new Error('Failed to load private key. Make sure it\'s a valid 64-character hex string.');
+            throw new Error('Failed to load private key. Use a suiprivkey1... string or a 64-character hex string.');
         }
     } else {
         throw new Error('Either MNEMONIC or PRIVATE_KEY must be set in the .env file');
@@ -0,0 +1,168 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519';
+import { Transaction } from '@mysten/sui/transactions';
+import { fromBase64 } from '@mysten/sui/utils';
+import { FakeFullnode, FULLNODE_URL } from './helpers/fakeFullnode.js';
+import {
+    addAdminSignature,
+    cancelAdminTransaction,
+    executeAdminTransaction,
+    getAdminTransaction,
+    getMultisigAdmin,
+    registerAdminOperation
+} from '../lib/adminTransactions.js';
+import { readJson, updateJson } from '../lib/jsonStore.js';
+
+const members = [new Ed25519Keypair(), new Ed25519Keypair()];
+process.env.SUI_NETWORK = FULLNODE_URL;
+process.env.ADMIN_MULTISIG_PUBLIC_KEYS = members.map((member) => member.getPublicKey().toSuiPublicKey()).join(',');
+delete process.env.ADMIN_MULTISIG_THRESHOLD;
+
+const finalized = [];
+registerAdminOperation('test.operation', (result, params) => {
+    finalized.push({ digest: result.digest, params });
+    return { success: true, transactionDigest: result.digest };
+});
+
+let fullnode;
+let cap;
+let gasCoin;
+
+beforeEach(async () => {
+    process.env.DATA_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'admin-transactions-'));
+    finalized.length = 0;
+    fullnode = new FakeFullnode().install();
+    const { address } = getMultisigAdmin();
+    cap = fullnode.addOwnedObject(address);
+    gasCoin = fullnode.addCoin(address, 10_000_000_000);
+});
+
+afterEach(async () => {
+    fullnode.restore();
+    await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+// Pins the current versions of the cap and gas coin, like the real admin operations do
+function buildTransaction(value = 1) {
+    const current = (ref) => {
+        const { objectId, version, digest } = fullnode.objects.get(ref.objectId);
+        return { objectId, version, digest };
+    };
+    const tx = new Transaction();
+    tx.moveCall({ target: '0x2::test::run', arguments: [tx.objectRef(current(cap)), tx.pure.u64(value)] });
+    tx.setGasPayment([current(gasCoin)]);
+    tx.setGasPrice(1000);
+    tx.setGasBudget(10_000_000);
+    return tx;
+}
+
+function propose(options = {}) {
+    return executeAdminTransaction(buildTransaction(options.value), {
+        operation: 'test.operation',
+        params: { value: options.value ?? 1 },
+        dedupeKey: options.dedupeKey ?? null
+    });
+}
+
+async function sign(id, member) {
+    const { transactionBytes } = await getAdminTransaction(id);
+    const { signature } = await member.signTransaction(fromBase64(transactionBytes));
+    return addAdminSignature(id, signature);
+}
+
+// Leaves the transaction as a crash during its submit would: executing, with nothing in flight
+async function interruptExecuting(id) {
+    await updateJson('admin-transactions.json', { transactions: [] }, (store) => {
+        store.transactions.find((entry) => entry.id === id).status = 'executing';
+    });
+}
+
+describe('multisig admin transactions', () => {
+    test('stay pending until the threshold is signed, then execute and finalize', async () => {
+        const proposed = await propose();
+        assert.equal(proposed.status, 'pending_signatures');
+
+        const afterFirst = await sign(proposed.pendingTransactionId, members[0]);
+        assert.equal(afterFirst.status, 'pending');
+        assert.equal(afterFirst.signedWeight, 1);
+        assert.equal(fullnode.calls.includes('sui_executeTransactionBlock'), false);
+
+        const afterSecond = await sign(proposed.pendingTransactionId, members[1]);
+        assert.equal(afterSecond.status, 'executed');
+        assert.equal(afterSecond.transactionDigest, proposed.pendingTransaction.digest);
+        assert.deepEqual(finalized, [{ digest: proposed.pendingTransaction.digest, params: { value: 1 } }]);
+
+        await assert.rejects(sign(proposed.pendingTransactionId, members[0]), { statusCode: 409 });
+    });
+
+    test('return the pending transaction again for a repeated dedupeKey', async () => {
+        const first = await propose({ dedupeKey: 'test:once' });
+        const second = await propose({ dedupeKey: 'test:once' });
+        assert.equal(second.pendingTransactionId, first.pendingTransactionId);
+    });
+
+    test('refuse a second proposal for the same cap while one waits for signatures', async () => {
+        await propose({ value: 1 });
+        await assert.rejects(propose({ value: 2 }), { statusCode: 409, message: /waiting for signatures/ });
+    });
+
+    test('mark a pending transaction stale once its objects move on', async () => {
+        const first = await propose({ value: 1 });
+        fullnode.bumpVersion(cap.objectId);
+
+        const second = await propose({ value: 2 });
+        assert.notEqual(second.pendingTransactionId, first.pendingTransactionId);
+        assert.equal((await getAdminTransaction(first.pendingTransactionId)).status, 'stale');
+    });
+
+    test('settle a submit whose answer was lost but which landed on chain', async () => {
+        const proposed = await propose();
+        await sign(proposed.pendingTransactionId, members[0]);
+        fullnode.handlers.sui_executeTransactionBlock = async ([transactionBytes]) => {
+            await fullnode.landTransaction(fromBase64(transactionBytes));
+            throw new Error('connection reset');
+        };
+
+        const executed = await sign(proposed.pendingTransactionId, members[1]);
+        assert.equal(executed.status, 'executed');
+        assert.equal(finalized.length, 1);
+    });
+
+    test('block new proposals on an interrupted transaction until it is resolved', async () => {
+        const proposed = await propose({ value: 1 });
+        await interruptExecuting(proposed.pendingTransactionId);
+
+        // Not on chain and its objects unchanged: it may still land, so it becomes unknown
+        await assert.rejects(propose({ value: 2 }), { statusCode: 409, message: /may have executed/ });
+        assert.equal((await getAdminTransaction(proposed.pendingTransactionId)).status, 'unknown');
+
+        const cancelled = await cancelAdminTransaction(proposed.pendingTransactionId);
+        assert.equal(cancelled.status, 'cancelled');
+        assert.equal((await propose({ value: 2 })).status, 'pending_signatures');
+    });
+
+    test('settle an interrupted transaction that did execute', async () => {
+        const proposed = await propose();
+        await interruptExecuting(proposed.pendingTransactionId);
+        const { transactionBytes } = await getAdminTransaction(proposed.pendingTransactionId);
+        await fullnode.landTransaction(fromBase64(transactionBytes));
+
+        await assert.rejects(cancelAdminTransaction(proposed.pendingTransactionId), { statusCode: 409, message: /already executed/ });
+        assert.equal(finalized.length, 1);
+
+        const { transactions } = await readJson('admin-transactions.json', { transactions: [] });
+        assert.equal(transactions[0].transactionDigest, proposed.pendingTransaction.digest);
+    });
+
+    test('close an interrupted transaction whose objects moved on as stale', async () => {
+        const proposed = await propose();
+        await interruptExecuting(proposed.pendingTransactionId);
+        fullnode.bumpVersion(gasCoin.objectId);
+
+        await assert.rejects(cancelAdminTransaction(proposed.pendingTransactionId), { statusCode: 409, message: /already stale/ });
+    });
+});
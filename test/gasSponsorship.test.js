@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { SuiClient } from '@mysten/sui/client';
+import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519';
+import { Transaction } from '@mysten/sui/transactions';
+import { FakeFullnode, FULLNODE_URL } from './helpers/fakeFullnode.js';
+import { buildSponsoredTransaction, executeSponsoredTransaction } from '../lib/gasSponsorship.js';
+import { readJson } from '../lib/jsonStore.js';
+
+const sponsor = new Ed25519Keypair();
+process.env.SPONSOR_PRIVATE_KEY = sponsor.getSecretKey();
+
+const LIMIT_VARIABLES = ['SPONSOR_MAX_PER_ADDRESS', 'SPONSOR_DAILY_LIMIT', 'SPONSOR_GAS_BUDGET', 'SPONSOR_LEASE_SECONDS', 'SPONSOR_MAX_LEASES_PER_ADDRESS'];
+
+let fullnode;
+let client;
+
+beforeEach(async () => {
+    process.env.DATA_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'gas-sponsorship-'));
+    LIMIT_VARIABLES.forEach((name) => delete process.env[name]);
+    fullnode = new FakeFullnode().install();
+    client = new SuiClient({ url: FULLNODE_URL });
+});
+
+afterEach(async () => {
+    fullnode.restore();
+    await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function build(applicant) {
+    const tx = new Transaction();
+    tx.moveCall({ target: '0x2::test::submit', arguments: [tx.pure.u64(1)] });
+    return buildSponsoredTransaction(tx, applicant.toSuiAddress(), client);
+}
+
+async function submit(applicant, transactionBytes) {
+    const { signature } = await applicant.signTransaction(transactionBytes);
+    return executeSponsoredTransaction(client, transactionBytes, Transaction.from(transactionBytes).getData(), signature);
+}
+
+async function leases() {
+    return Object.values((await readJson('sponsor-gas-leases.json', { leases: {} })).leases);
+}
+
+describe('gas sponsorship', () => {
+    test('lease a sponsor coin per build and let each address hold one unsubmitted build', async () => {
+        fullnode.addCoin(sponsor.toSuiAddress(), 1_000_000_000);
+        fullnode.addCoin(sponsor.toSuiAddress(), 1_000_000_000);
+        const applicant = new Ed25519Keypair();
+
+        const transactionBytes = await build(applicant);
+        const { gasData, sender } = Transaction.from(transactionBytes).getData();
+        assert.equal(sender, applicant.toSuiAddress());
+        assert.equal(gasData.owner, sponsor.toSuiAddress());
+
+        await assert.rejects(build(applicant), { statusCode: 429, message: /waiting to be signed/ });
+        await build(new Ed25519Keypair());
+
+        const held = await leases();
+        assert.equal(held.length, 2);
+        assert.ok(held.every((lease) => lease.status === 'reserved'));
+    });
+
+    test('count unsubmitted builds against the daily limit', async () => {
+        process.env.SPONSOR_DAILY_LIMIT = '1';
+        fullnode.addCoin(sponsor.toSuiAddress(), 1_000_000_000);
+        fullnode.addCoin(sponsor.toSuiAddress(), 1_000_000_000);
+
+        await build(new Ed25519Keypair());
+        await assert.rejects(build(new Ed25519Keypair()), { statusCode: 429, message: /Daily sponsorship limit/ });
+    });
+
+    test('look through every page of sponsor coins for one holding the gas budget', async () => {
+        const small = fullnode.addCoin(sponsor.toSuiAddress(), 1_000);
+        const large = fullnode.addCoin(sponsor.toSuiAddress(), 1_000_000_000);
+        const page = (ref) => {
+            const { objectId, version, digest, balance } = fullnode.objects.get(ref.objectId);
+            return { coinType: '0x2::sui::SUI', coinObjectId: objectId, version, digest, balance };
+        };
+        fullnode.handlers.suix_getCoins = ([, , cursor]) => (cursor === 'page-2'
+            ? { data: [page(large)], nextCursor: null, hasNextPage: false }
+            : { data: [page(small)], nextCursor: 'page-2', hasNextPage: true });
+
+        const { gasData } = Transaction.from(await build(new Ed25519Keypair())).getData();
+        assert.equal(gasData.payment[0].objectId, large.objectId);
+    });
+
+    test('record an executed sponsorship, release its coin and refuse the same bytes twice', async () => {
+        fullnode.addCoin(sponsor.toSuiAddress(), 1_000_000_000);
+        const applicant = new Ed25519Keypair();
+        const transactionBytes = await build(applicant);
+
+        const result = await submit(applicant, transactionBytes);
+        assert.equal(result.effects.status.status, 'success');
+
+        const { entries } = await readJson('sponsorships.json', { entries: [] });
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].status, 'executed');
+        assert.equal(entries[0].transactionDigest, result.digest);
+        assert.deepEqual(await leases(), []);
+
+        await assert.rejects(submit(applicant, transactionBytes), { statusCode: 409 });
+        // SPONSOR_MAX_PER_ADDRESS defaults to one sponsorship per address
+        await assert.rejects(build(applicant), { statusCode: 429, message: /Sponsorship limit of 1 per address/ });
+    });
+
+    test('keep the coin leased and the sponsorship counted when a submit gets no answer', async () => {
+        fullnode.addCoin(sponsor.toSuiAddress(), 1_000_000_000);
+        const applicant = new Ed25519Keypair();
+        const transactionBytes = await build(applicant);
+        fullnode.handlers.sui_executeTransactionBlock = () => {
+            throw new Error('connection reset');
+        };
+
+        const digest = await Transaction.from(transactionBytes).getDigest();
+        await assert.rejects(submit(applicant, transactionBytes), { outcomeUnknown: true, transactionDigest: digest });
+
+        const { entries } = await readJson('sponsorships.json', { entries: [] });
+        assert.equal(entries[0].status, 'unknown');
+        assert.equal(entries[0].transactionDigest, digest);
+        assert.deepEqual((await leases()).map((lease) => lease.status), ['executing']);
+        await assert.rejects(build(new Ed25519Keypair()), { statusCode: 503, message: /in use/ });
+    });
+});
@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import { Transaction } from '@mysten/sui/transactions';
+import { fromBase64, normalizeSuiAddress, normalizeSuiObjectId, toBase58 } from '@mysten/sui/utils';
+
+export const FULLNODE_URL = 'http://fullnode.test';
+
+const TX_CONTEXT = { MutableReference: { Struct: { address: '0x2', module: 'tx_context', name: 'TxContext', typeArguments: [] } } };
+
+export function randomObjectId() {
+    return normalizeSuiObjectId(`0x${crypto.randomBytes(32).toString('hex')}`);
+}
+
+export function randomDigest() {
+    return toBase58(crypto.randomBytes(32));
+}
+
+// Thrown from a handler to answer with a JSON-RPC error, as a real fullnode would
+export function rpcError(message, code = -32000) {
+    const error = new Error(message);
+    error.rpcCode = code;
+    return error;
+}
+
+// An in-memory Sui fullnode answering the JSON-RPC calls the API makes. It replaces
+// globalThis.fetch, which SuiClient looks up on every request, so any SuiClient pointed at
+// FULLNODE_URL talks to it. Handlers can be overridden per method to script failures.
+export class FakeFullnode {
+    constructor() {
+        this.objects = new Map();
+        this.functions = new Map();
+        this.transactions = new Map();
+        this.handlers = {};
+        this.calls = [];
+    }
+
+    install() {
+        this.originalFetch = globalThis.fetch;
+        globalThis.fetch = (url, init) => this.#respond(url, init);
+        return this;
+    }
+
+    restore() {
+        globalThis.fetch = this.originalFetch;
+    }
+
+    addOwnedObject(owner, type = '0x1::test::Cap') {
+        const ref = { objectId: randomObjectId(), version: '1', digest: randomDigest() };
+        this.objects.set(ref.objectId, { ...ref, type, owner: { AddressOwner: normalizeSuiAddress(owner) } });
+        return ref;
+    }
+
+    addSharedObject(type = '0x1::test::Table') {
+        const objectId = randomObjectId();
+        this.objects.set(objectId, { objectId, version: '1', digest: randomDigest(), type, owner: { Shared: { initial_shared_version: '1' } } });
+        return objectId;
+    }
+
+    addCoin(owner, balance) {
+        const ref = this.addOwnedObject(owner, '0x2::coin::Coin<0x2::sui::SUI>');
+        this.objects.get(ref.objectId).balance = String(balance);
+        return ref;
+    }
+
+    // Moves an object to a new version, as any transaction using it would
+    bumpVersion(objectId) {
+        const object = this.objects.get(normalizeSuiObjectId(objectId));
+        object.version = String(Number(object.version) + 1);
+        object.digest = randomDigest();
+    }
+
+    // Parameters use '&', '&mut' (an object argument) or 'address'; TxContext is appended
+    defineFunction(target, parameters) {
+        this.functions.set(target, parameters.map((parameter) => {
+            if (parameter === 'address') {
+                return 'Address';
+            }
+            const struct = { Struct: { address: '0x1', module: 'test', name: 'Object', typeArguments: [] } };
+            return parameter === '&mut' ? { MutableReference: struct } : { Reference: struct };
+        }).concat([TX_CONTEXT]));
+    }
+
+    // Records a transaction as executed without going through executeTransactionBlock,
+    // for a submit whose answer got lost on the way back
+    async landTransaction(transactionBytes) {
+        return this.#execute(transactionBytes);
+    }
+
+    async #execute(transactionBytes) {
+        const transaction = Transaction.from(transactionBytes);
+        const digest = await transaction.getDigest();
+        const { inputs, gasData } = transaction.getData();
+        for (const ref of [...inputs.map((input) => input.Object?.ImmOrOwnedObject).filter(Boolean), ...(gasData.payment || [])]) {
+            this.bumpVersion(ref.objectId);
+        }
+
+        const result = {
+            digest,
+            effects: {
+                status: { status: 'success' },
+                gasUsed: { computationCost: '1000000', storageCost: '2000000', storageRebate: '500000', nonRefundableStorageFee: '0' }
+            },
+            events: [],
+            objectChanges: []
+        };
+        this.transactions.set(digest, result);
+        return result;
+    }
+
+    #objectResponse(id) {
+        const object = this.objects.get(normalizeSuiObjectId(id));
+        if (!object) {
+            return { error: { code: 'notExists', object_id: id } };
+        }
+        const { balance, ...data } = object;
+        return { data };
+    }
+
+    defaultHandlers() {
+        return {
+            suix_getReferenceGasPrice: () => '1000',
+            sui_getNormalizedMoveFunction: ([packageId, module, name]) => {
+                const parameters = this.functions.get(`${normalizeSuiObjectId(packageId)}::${module}::${name}`);
+                if (!parameters) {
+                    throw rpcError(`No function ${packageId}::${module}::${name}`);
+                }
+                return { visibility: 'Public', isEntry: true, typeParameters: [], parameters, return: [] };
+            },
+            sui_multiGetObjects: ([ids]) => ids.map((id) => this.#objectResponse(id)),
+            sui_getObject: ([id]) => this.#objectResponse(id),
+            suix_getCoins: ([owner]) => ({
+                data: [...this.objects.values()]
+                    .filter((object) => object.balance && object.owner.AddressOwner === normalizeSuiAddress(owner))
+                    .map((object) => ({
+                        coinType: '0x2::sui::SUI',
+                        coinObjectId: object.objectId,
+                        version: object.version,
+                        digest: object.digest,
+                        balance: object.balance
+                    })),
+                nextCursor: null,
+                hasNextPage: false
+            }),
+            sui_dryRunTransactionBlock: () => ({
+                effects: {
+                    status: { status: 'success' },
+                    gasUsed: { computationCost: '1000000', storageCost: '2000000', storageRebate: '500000', nonRefundableStorageFee: '0' }
+                }
+            }),
+            sui_executeTransactionBlock: ([transactionBytes]) => this.#execute(fromBase64(transactionBytes)),
+            sui_getTransactionBlock: ([digest]) => {
+                const result = this.transactions.get(digest);
+                if (!result) {
+                    throw rpcError(`Could not find the referenced transaction [TransactionDigest(${digest})].`, -32602);
+                }
+                return result;
+            }
+        };
+    }
+
+    async #respond(url, init) {
+        const request = JSON.parse(init.body);
+        this.calls.push(request.method);
+
+        const handler = this.handlers[request.method] || this.defaultHandlers()[request.method];
+        let body;
+        try {
+            if (!handler) {
+                throw rpcError(`Method not found: ${request.method}`, -32601);
+            }
+            body = { jsonrpc: '2.0', id: request.id, result: await handler(request.params) };
+        } catch (error) {
+            if (error.rpcCode === undefined) {
+                // Anything else stands for the fullnode not answering at all
+                throw new TypeError(`fetch failed: ${error.message}`);
+            }
+            body = { jsonrpc: '2.0', id: request.id, error: { code: error.rpcCode, message: error.message } };
+        }
+        return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    }
+}
@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519';
+import { fromBase64 } from '@mysten/sui/utils';
+import { FakeFullnode, FULLNODE_URL, randomObjectId } from './helpers/fakeFullnode.js';
+import { addAdminSignature, cancelAdminTransaction, getAdminTransaction, getMultisigAdmin } from '../lib/adminTransactions.js';
+import { readJson, updateJson } from '../lib/jsonStore.js';
+import { getVettingDecision } from '../lib/vettingDecisions.js';
+import { castReviewVote, getReviewHistory, reopenReview } from '../lib/vettingReviews.js';
+
+const members = [new Ed25519Keypair()];
+const packageId = randomObjectId();
+process.env.SUI_NETWORK = FULLNODE_URL;
+process.env.PACKAGE_ID = packageId;
+process.env.ADMIN_MULTISIG_PUBLIC_KEYS = members.map((member) => member.getPublicKey().toSuiPublicKey()).join(',');
+process.env.VETTING_REVIEW_QUORUM = '2';
+delete process.env.ADMIN_MULTISIG_THRESHOLD;
+delete process.env.AUTO_MINT_BRAAV_VERSION;
+
+const applicant = new Ed25519Keypair().toSuiAddress();
+
+let fullnode;
+
+beforeEach(async () => {
+    process.env.DATA_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'vetting-reviews-'));
+    fullnode = new FakeFullnode().install();
+
+    const { address } = getMultisigAdmin();
+    process.env.ADMIN_CAP = fullnode.addOwnedObject(address).objectId;
+    process.env.VETTING_TABLE_ID = fullnode.addSharedObject();
+    fullnode.addCoin(address, 10_000_000_000);
+    fullnode.defineFunction(`${packageId}::vetting::status_of_vetting`, ['&', 'address']);
+    fullnode.defineFunction(`${packageId}::vetting::approve_vetting`, ['&', '&mut', 'address']);
+    fullnode.defineFunction(`${packageId}::vetting::reject_vetting`, ['&', '&mut', 'address']);
+
+    // The applicant has applied and is waiting for a decision
+    fullnode.handlers.sui_devInspectTransactionBlock = () => ({
+        effects: { status: { status: 'success' } },
+        results: [{ returnValues: [[[1, 0], '0x1::option::Option<bool>']] }]
+    });
+});
+
+afterEach(async () => {
+    fullnode.restore();
+    await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+// Settled listeners run after the call that settled the admin transaction returns
+async function eventually(check) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const value = await check();
+        if (value) {
+            return value;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    throw new Error('Condition was not met in time');
+}
+
+async function signPending(id) {
+    const { transactionBytes } = await getAdminTransaction(id);
+    const { signature } = await members[0].signTransaction(fromBase64(transactionBytes));
+    return addAdminSignature(id, signature);
+}
+
+describe('vetting reviews', () => {
+    test('stay open below quorum', async () => {
+        const review = await castReviewVote(applicant, 'alice', 'approve');
+        assert.equal(review.status, 'open');
+        assert.deepEqual(review.tally, { approve: 1, deny: 0 });
+        assert.equal(fullnode.calls.includes('sui_dryRunTransactionBlock'), false);
+    });
+
+    test('wait for the multisig at quorum and resolve once its transaction executes', async () => {
+        await castReviewVote(applicant, 'alice', 'approve');
+        const awaiting = await castReviewVote(applicant, 'bob', 'approve');
+        assert.equal(awaiting.status, 'awaiting_signatures');
+        assert.ok(awaiting.pendingTransactionId);
+
+        const executed = await signPending(awaiting.pendingTransactionId);
+        assert.equal(executed.status, 'executed');
+
+        const resolved = await eventually(async () => {
+            const review = await getReviewHistory(applicant);
+            return review.status === 'resolved' && review;
+        });
+        assert.equal(resolved.outcome, 'approved');
+        assert.equal(resolved.transactionDigest, executed.transactionDigest);
+        assert.equal((await getVettingDecision(applicant, process.env.VETTING_TABLE_ID)).decision, 'approved');
+    });
+
+    test('reopen when the multisig transaction is cancelled, and propose again on the next vote', async () => {
+        await castReviewVote(applicant, 'alice', 'deny');
+        const awaiting = await castReviewVote(applicant, 'bob', 'deny');
+        await cancelAdminTransaction(awaiting.pendingTransactionId);
+
+        const reopened = await eventually(async () => {
+            const review = await getReviewHistory(applicant);
+            return review.status === 'open' && review;
+        });
+        assert.equal(reopened.pendingTransactionId, null);
+        assert.match(reopened.lastError, /cancelled/);
+
+        const retried = await castReviewVote(applicant, 'carol', 'deny');
+        assert.equal(retried.status, 'awaiting_signatures');
+        assert.notEqual(retried.pendingTransactionId, awaiting.pendingTransactionId);
+    });
+
+    test('reopen with the error when the on-chain decision fails', async () => {
+        fullnode.handlers.suix_getReferenceGasPrice = () => {
+            throw new Error('fullnode unreachable');
+        };
+
+        await castReviewVote(applicant, 'alice', 'approve');
+        await assert.rejects(castReviewVote(applicant, 'bob', 'approve'), /fullnode unreachable/);
+
+        const review = await getReviewHistory(applicant);
+        assert.equal(review.status, 'open');
+        assert.match(review.lastError, /fullnode unreachable/);
+    });
+
+    test('can be reopened by an admin only when left executing', async () => {
+        await assert.rejects(reopenReview(applicant), { statusCode: 404 });
+
+        await castReviewVote(applicant, 'alice', 'approve');
+        await assert.rejects(reopenReview(applicant), { statusCode: 409 });
+
+        // A crash during the on-chain call leaves the review executing with nothing in flight
+        await updateJson('vetting-reviews.json', {}, (reviews) => {
+            Object.values(reviews)[0].status = 'executing';
+        });
+        await assert.rejects(castReviewVote(applicant, 'bob', 'approve'), { statusCode: 409, message: /already executing/ });
+
+        const reopened = await reopenReview(applicant);
+        assert.equal(reopened.status, 'open');
+        assert.equal((await readJson('vetting-reviews.json', {}))[applicant].status, 'open');
+    });
+});
@@ -1,142 +1,157 @@
-import { Ed25519Keypair } from '@mysten/sui.js/keypairs/ed25519';
-import { SuiClient } from '@mysten/sui.js/client';
-import { TransactionBlock } from '@mysten/sui.js/transactions';
+import { SuiClient } from '@mysten/sui/client';
+import { Transaction } from '@mysten/sui/transactions';
+import { isValidSuiAddress, MIST_PER_SUI, normalizeSuiAddress } from '@mysten/sui/utils';
+import * as dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { getAdminSigner } from './lib/adminSigner.js';
+import { parsePrivateKey } from './lib/keypairs.js';
 
-// Configuration
-const TESTNET_RPC = 'https://fullnode.testnet.sui.io:443';
-const AMOUNT_TO_TRANSFER = 1000000n; // 0.001 SUI (in MIST units) - Small amount to preserve treasury
+// Load environment variables from .env file
+dotenv.config();
 
-async function transferSui() {
-    try {
-        // Initialize Sui client
-        const client = new SuiClient({ url: TESTNET_RPC });
-        
-        // SOURCE WALLET (Treasury) - Replace with your treasury wallet private key (32 bytes)
-        const sourcePrivateKeyHex = "YOUR_TREASURY_PRIVATE_KEY_HERE"; // 32-byte private key for 0xb3c7d47bda5ebdab8a373203dc13cb0f32463721b79a09a36d99182bac4557b6
-        
-        // DESTINATION WALLET - The wallet that needs SUI for gas fees
-        const destinationAddress = "0xe64f0fe4f55c05ebe9bb12b6c2be9ab3673ba66d4eb62821c0e3241bc9e18206";
-        
-        // Create keypair from source private key
-        const sourceKeyBytes = new Uint8Array(Buffer.from(sourcePrivateKeyHex, 'hex'));
-        const sourceKeypair = Ed25519Keypair.fromSecretKey(sourceKeyBytes);
-        const sourceAddress = sourceKeypair.getPublicKey().toSuiAddress();
-        
-        console.log('Treasury Address (Source):', sourceAddress);
-        console.log('Destination Address:', destinationAddress);
-        console.log('Amount to Transfer:', AMOUNT_TO_TRANSFER.toString(), 'MIST (0.001 SUI)');
-        
-        // Check source wallet balance
-        const sourceBalance = await client.getBalance({
-            owner: sourceAddress,
-            coinType: '0x2::sui::SUI'
-        });
-        
-        console.log('Treasury Balance:', sourceBalance.totalBalance, 'MIST');
-        
-        if (BigInt(sourceBalance.totalBalance) < AMOUNT_TO_TRANSFER) {
-            throw new Error(`Insufficient balance. Have: ${sourceBalance.totalBalance}, Need: ${AMOUNT_TO_TRANSFER}`);
-        }
-        
-        // Get coins from treasury wallet
-        const coins = await client.getCoins({
-            owner: sourceAddress,
-            coinType: '0x2::sui::SUI'
-        });
-        
-        if (coins.data.length === 0) {
-            throw new Error('No SUI coins found in treasury wallet');
+// Gas budget for a plain SUI transfer, in MIST
+const TRANSFER_GAS_BUDGET = 10000000n;
+
+function transferError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// The treasury is TREASURY_PRIVATE_KEY ("suiprivkey1..." or hex in TREASURY_KEY_SCHEME) when set,
+// otherwise the admin signer
+export async function getTreasurySigner() {
+    const privateKey = process.env.TREASURY_PRIVATE_KEY;
+    if (privateKey) {
+        return parsePrivateKey(privateKey, process.env.TREASURY_KEY_SCHEME || 'ED25519');
+    }
+    return getAdminSigner();
+}
+
+// Converts a decimal SUI amount ("1.5", 0.001) to MIST without going through floating point
+export function suiToMist(amountSui) {
+    const text = String(amountSui).trim();
+    const match = /^(\d+)(?:\.(\d{1,9}))?$/.exec(text);
+    if (!match) {
+        throw transferError(`Invalid SUI amount: ${amountSui}. Use a positive number with at most 9 decimals`, 400);
+    }
+    const [, whole, fraction = ''] = match;
+    return BigInt(whole) * MIST_PER_SUI + BigInt(fraction.padEnd(9, '0'));
+}
+
+export function mistToSui(amountMist) {
+    const mist = BigInt(amountMist);
+    const fraction = (mist % MIST_PER_SUI).toString().padStart(9, '0').replace(/0+$/, '');
+    return fraction ? `${mist / MIST_PER_SUI}.${fraction}` : `${mist / MIST_PER_SUI}`;
+}
+
+// Exactly one of amountMist (integer) or amountSui (decimal) must be given
+export function parseTransferAmount({ amountMist, amountSui }) {
+    const hasMist = amountMist !== undefined && amountMist !== null;
+    const hasSui = amountSui !== undefined && amountSui !== null;
+    if (hasMist === hasSui) {
+        throw transferError('Provide exactly one of amountMist or amountSui', 400);
+    }
+
+    let amount;
+    if (hasMist) {
+        if (!/^\d+$/.test(String(amountMist).trim())) {
+            throw transferError(`Invalid MIST amount: ${amountMist}. Use a positive whole number`, 400);
         }
-        
-        // Create transaction
-        const txb = new TransactionBlock();
-        
-        // Add transfer command
-        const [coin] = txb.splitCoins(txb.gas, [AMOUNT_TO_TRANSFER]);
-        txb.transferObjects([coin], destinationAddress);
-        
-        // Sign and execute transaction
-        console.log('\nCreating transaction...');
-        const result = await client.signAndExecuteTransactionBlock({
-            signer: sourceKeypair,
-            transactionBlock: txb,
-            options: {
-                showEffects: true,
-                showObjectChanges: true,
-            },
-        });
-        
-        console.log('✅ Transfer successful!');
-        console.log('Transaction Digest:', result.digest);
-        console.log('Gas Used:', result.effects?.gasUsed);
-        
-        // Check destination balance after transfer
-        const destinationBalance = await client.getBalance({
-            owner: destinationAddress,
-            coinType: '0x2::sui::SUI'
+        amount = BigInt(String(amountMist).trim());
+    } else {
+        amount = suiToMist(amountSui);
+    }
+
+    if (amount <= 0n) {
+        throw transferError('Transfer amount must be greater than zero', 400);
+    }
+    return amount;
+}
+
+// Sends amountMist of SUI from the treasury to recipient. The treasury must hold the amount plus
+// the gas budget, checked up front so an underfunded treasury fails before anything is signed.
+export async function transferSui(recipient, amountMist, { signer = null, client = null } = {}) {
+    if (!isValidSuiAddress(recipient)) {
+        throw transferError(`Invalid recipient address: ${recipient}`, 400);
+    }
+
+    const suiClient = client || new SuiClient({ url: process.env.SUI_NETWORK || 'https://fullnode.testnet.sui.io' });
+    const treasury = signer || await getTreasurySigner();
+    const sender = treasury.toSuiAddress();
+    const amount = BigInt(amountMist);
+    const recipientAddress = normalizeSuiAddress(recipient);
+
+    const { totalBalance } = await suiClient.getBalance({ owner: sender, coinType: '0x2::sui::SUI' });
+    const required = amount + TRANSFER_GAS_BUDGET;
+    if (BigInt(totalBalance) < required) {
+        throw transferError(
+            `Insufficient treasury balance: ${sender} holds ${totalBalance} MIST, the transfer needs ${required} MIST including the gas budget`,
+            409
+        );
+    }
+
+    const tx = new Transaction();
+    const [coin] = tx.splitCoins(tx.gas, [amount]);
+    tx.transferObjects([coin], recipientAddress);
+    tx.setSender(sender);
+    tx.setGasBudget(TRANSFER_GAS_BUDGET);
+
+    // Signed before submitting so the digest is known even if no answer comes back
+    const transactionBytes = await tx.build({ client: suiClient });
+    const { signature } = await treasury.signTransaction(transactionBytes);
+    const transactionDigest = await Transaction.from(transactionBytes).getDigest();
+
+    let result;
+    try {
+        result = await suiClient.executeTransactionBlock({
+            transactionBlock: transactionBytes,
+            signature,
+            options: { showEffects: true, showBalanceChanges: true },
         });
-        
-        console.log('\nDestination Balance After Transfer:', destinationBalance.totalBalance, 'MIST');
-        
-        return result;
-        
     } catch (error) {
-        console.error('❌ Transfer failed:', error.message);
+        // The transaction may have reached the network; callers must not assume nothing was sent
+        error.outcomeUnknown = true;
+        error.transactionDigest = transactionDigest;
         throw error;
     }
-}
 
-// Helper function to check wallet balance
-async function checkBalance(address) {
-    const client = new SuiClient({ url: TESTNET_RPC });
-    const balance = await client.getBalance({
-        owner: address,
-        coinType: '0x2::sui::SUI'
-    });
-    console.log(`Balance for ${address}:`, balance.totalBalance, 'MIST');
-    return balance;
+    if (result.effects?.status?.status !== 'success') {
+        throw new Error(`SUI transfer failed: ${result.effects?.status?.error || 'Unknown error'}`);
+    }
+
+    return {
+        success: true,
+        digest: result.digest,
+        sender,
+        recipient: recipientAddress,
+        amountMist: amount.toString(),
+        amountSui: mistToSui(amount),
+        treasuryBalanceBefore: totalBalance,
+        gasUsed: result.effects.gasUsed,
+        balanceChanges: result.balanceChanges || []
+    };
 }
 
-// Main execution
-async function main() {
-    console.log('🚀 Starting SUI transfer from Treasury to Destination...');
-    
-    // Set to true to only check balances, false to actually transfer
-    const CHECK_ONLY = false; // Set to true if you want to check balances first
-    
-    if (CHECK_ONLY) {
-        console.log('\n📊 Checking balances only (set CHECK_ONLY to false to transfer)');
-        
-        // Check treasury balance (source)
-        console.log('Treasury Wallet:');
-        await checkBalance("0xb3c7d47bda5ebdab8a373203dc13cb0f32463721b79a09a36d99182bac4557b6");
-        
-        // Check destination wallet balance
-        console.log('\nDestination Wallet:');
-        await checkBalance("0xe64f0fe4f55c05ebe9bb12b6c2be9ab3673ba66d4eb62821c0e3241bc9e18206");
-        
-    } else {
-        // Actually perform the transfer
-        console.log('\n💸 Executing transfer...');
-        await transferSui();
+// node transferSuiTokens.js <recipient> <amount in SUI>
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const [recipient, amountSui] = process.argv.slice(2);
+    if (!recipient || !amountSui) {
+        console.error('Usage: node transferSuiTokens.js <recipient> <amount in SUI>');
+        process.exit(1);
     }
-}
 
-// Run the script
-main().catch(console.error);
-
-// Usage instructions:
-console.log(`
-📋 SETUP INSTRUCTIONS:
-1. Install dependencies: npm install @mysten/sui.js
-2. Replace YOUR_TREASURY_PRIVATE_KEY_HERE with your treasury wallet's 32-byte private key
-3. Verify the destination address is correct: 0xe64f0fe4f55c05ebe9bb12b6c2be9ab3673ba66d4eb62821c0e3241bc9e18206
-4. Set CHECK_ONLY to true first to check balances, then false to transfer
-5. Run: node transferSuiTokens.js
-
-⚠️  IMPORTANT:
-- Make sure your treasury wallet has sufficient SUI balance
-- This transfers only 0.001 SUI (1,000,000 MIST) to preserve treasury funds
-- Always test with small amounts first
-- You need the 32-byte private key for the treasury wallet: 0xb3c7d47bda5ebdab8a373203dc13cb0f32463721b79a09a36d99182bac4557b6
-`);
\ No newline at end of file
+    transferSui(recipient, suiToMist(amountSui))
+        .then((result) => {
+            console.log('✅ Transfer successful!');
+            console.log('Transaction Digest:', result.digest);
+            console.log('From:', result.sender);
+            console.log('To:', result.recipient);
+            console.log('Amount:', result.amountMist, `MIST (${result.amountSui} SUI)`);
+            console.log('Balance Changes:', JSON.stringify(result.balanceChanges, null, 2));
+        })
+        .catch((error) => {
+            console.error('❌ Transfer failed:', error.message);
+            process.exit(1);
+        });
+}